@@ -0,0 +1,143 @@
+/**
+ * 算法注册表模块
+ * 集中定义所有支持的哈希算法，算法选择器、计算、HMAC和导出都从这里读取算法信息
+ */
+
+// 算法注册表对象
+const AlgorithmRegistry = {
+    // 算法分组（决定选择器中的显示顺序）
+    groups: [
+        { id: 'sha', label: 'MD5 / SHA 系列' },
+        { id: 'sha3', label: 'SHA-3 / SHAKE' },
+        { id: 'blake', label: 'BLAKE 系列' },
+        { id: 'checksum', label: '校验和（非加密）' },
+        { id: 'hmac', label: 'HMAC（基于密钥）' }
+    ],
+
+    /**
+     * 基础算法列表
+     * - id: 算法标识，用于设置、结果和导出
+     * - label: 显示名称
+     * - engine: 计算实现（同一实现可以通过不同初始值和输出长度派生多个算法）
+     * - digestLength: 摘要长度（字节）
+     * - blockSize: 分组长度（字节），用于构造HMAC
+     * - hmac: 是否提供对应的HMAC算法
+     * - xof: 是否为可扩展输出函数（SHAKE）
+     * - variableLength: 可由用户选择的输出长度范围（字节），digestLength 为默认长度
+     * - keyLength: 可选密钥的长度范围（字节），不提供密钥时为普通哈希
+     * - aliases: 其他工具使用的别名（用于识别校验清单中的算法标签）
+     * - nonCryptographic: 是否为非加密校验和（只能检测意外损坏，不能防篡改），结果中会标注
+     */
+    algorithms: [
+        { id: 'md5', label: 'MD5', group: 'sha', engine: 'md5', digestLength: 16, blockSize: 64, hmac: true },
+        { id: 'sha1', label: 'SHA-1', group: 'sha', engine: 'sha1', digestLength: 20, blockSize: 64, hmac: true },
+        { id: 'sha224', label: 'SHA-224', group: 'sha', engine: 'sha256', digestLength: 28, blockSize: 64, hmac: true },
+        { id: 'sha256', label: 'SHA-256', group: 'sha', engine: 'sha256', digestLength: 32, blockSize: 64, hmac: true },
+        { id: 'sha384', label: 'SHA-384', group: 'sha', engine: 'sha512', digestLength: 48, blockSize: 128, hmac: true },
+        { id: 'sha512', label: 'SHA-512', group: 'sha', engine: 'sha512', digestLength: 64, blockSize: 128, hmac: true },
+        { id: 'sha512-256', label: 'SHA-512/256', group: 'sha', engine: 'sha512', digestLength: 32, blockSize: 128, hmac: true, aliases: ['SHA512t256'] },
+        { id: 'sha3-224', label: 'SHA3-224', group: 'sha3', engine: 'keccak', digestLength: 28, blockSize: 144, hmac: false },
+        { id: 'sha3-256', label: 'SHA3-256', group: 'sha3', engine: 'keccak', digestLength: 32, blockSize: 136, hmac: false },
+        { id: 'sha3-384', label: 'SHA3-384', group: 'sha3', engine: 'keccak', digestLength: 48, blockSize: 104, hmac: false },
+        { id: 'sha3-512', label: 'SHA3-512', group: 'sha3', engine: 'keccak', digestLength: 64, blockSize: 72, hmac: false },
+        { id: 'shake128', label: 'SHAKE128', group: 'sha3', engine: 'keccak', digestLength: 32, blockSize: 168, hmac: false, xof: true, variableLength: { min: 1, max: 1024 } },
+        { id: 'shake256', label: 'SHAKE256', group: 'sha3', engine: 'keccak', digestLength: 64, blockSize: 136, hmac: false, xof: true, variableLength: { min: 1, max: 1024 } },
+        { id: 'blake2b', label: 'BLAKE2b', group: 'blake', engine: 'blake2b', digestLength: 64, blockSize: 128, hmac: false, variableLength: { min: 1, max: 64 }, keyLength: { min: 1, max: 64 } },
+        { id: 'blake2s', label: 'BLAKE2s', group: 'blake', engine: 'blake2s', digestLength: 32, blockSize: 64, hmac: false, variableLength: { min: 1, max: 32 }, keyLength: { min: 1, max: 32 } },
+        { id: 'blake3', label: 'BLAKE3', group: 'blake', engine: 'blake3', digestLength: 32, blockSize: 64, hmac: false, xof: true, variableLength: { min: 1, max: 1024 }, keyLength: { min: 32, max: 32 } },
+        { id: 'crc32', label: 'CRC32', group: 'checksum', engine: 'crc32', digestLength: 4, hmac: false, nonCryptographic: true },
+        { id: 'crc32c', label: 'CRC32C', group: 'checksum', engine: 'crc32c', digestLength: 4, hmac: false, nonCryptographic: true },
+        { id: 'adler32', label: 'Adler-32', group: 'checksum', engine: 'adler32', digestLength: 4, hmac: false, nonCryptographic: true },
+        { id: 'xxh64', label: 'xxHash64', group: 'checksum', engine: 'xxh64', digestLength: 8, hmac: false, nonCryptographic: true },
+        { id: 'xxh3', label: 'XXH3-64', group: 'checksum', engine: 'xxh3', digestLength: 8, hmac: false, nonCryptographic: true }
+    ],
+
+    /**
+     * 获取算法信息
+     * HMAC算法（如 'hmac-sha256'）由对应的基础算法派生
+     * @param {string} id - 算法标识
+     * @returns {Object|null} 算法信息，不支持时返回 null
+     */
+    get(id) {
+        if (typeof id !== 'string') return null;
+
+        if (id.startsWith('hmac-')) {
+            const base = this.get(id.substring(5));
+            if (!base || !base.hmac) return null;
+
+            return {
+                id,
+                label: `HMAC-${base.label.replace('-', '')}`,
+                group: 'hmac',
+                engine: 'hmac',
+                base: base.id,
+                digestLength: base.digestLength,
+                keyed: true
+            };
+        }
+
+        return this.algorithms.find(algorithm => algorithm.id === id) || null;
+    },
+
+    /**
+     * 列出所有可选择的算法（包括派生的HMAC算法），按分组排序
+     * @returns {Array<Object>} 算法信息数组
+     */
+    list() {
+        const all = [
+            ...this.algorithms,
+            ...this.algorithms.filter(algorithm => algorithm.hmac).map(algorithm => this.get(`hmac-${algorithm.id}`))
+        ];
+
+        return this.groups.reduce((sorted, group) => {
+            return sorted.concat(all.filter(algorithm => algorithm.group === group.id));
+        }, []);
+    },
+
+    /**
+     * 检查算法是否支持
+     * @param {string} id - 算法标识
+     * @returns {boolean} 是否支持
+     */
+    isSupported(id) {
+        return this.get(id) !== null;
+    },
+
+    /**
+     * 获取算法的显示名称
+     * @param {string} id - 算法标识
+     * @returns {string} 显示名称，未知算法返回大写的标识
+     */
+    getLabel(id) {
+        const algorithm = this.get(id);
+        return algorithm ? algorithm.label : String(id).toUpperCase();
+    },
+
+    /**
+     * 检查输出长度对可变长度算法是否有效
+     * @param {string} id - 算法标识
+     * @param {number} length - 输出长度（字节）
+     * @returns {boolean} 是否有效
+     */
+    isValidOutputLength(id, length) {
+        const algorithm = this.get(id);
+        if (!algorithm || !algorithm.variableLength) return false;
+
+        const { min, max } = algorithm.variableLength;
+        return Number.isInteger(length) && length >= min && length <= max;
+    },
+
+    /**
+     * 检查密钥长度对支持密钥的算法是否有效
+     * @param {string} id - 算法标识
+     * @param {number} length - 密钥长度（字节）
+     * @returns {boolean} 是否有效
+     */
+    isValidKeyLength(id, length) {
+        const algorithm = this.get(id);
+        if (!algorithm || !algorithm.keyLength) return false;
+
+        const { min, max } = algorithm.keyLength;
+        return length >= min && length <= max;
+    }
+};
@@ -0,0 +1,524 @@
+/**
+ * 压缩包读取模块
+ * 负责逐个读取 ZIP、TAR 和 .tar.gz 压缩包中的文件并计算哈希值，
+ * 文件内容按块送入哈希状态，不会把整个文件解压到内存中
+ *
+ * ZIP 通过中央目录获取文件列表，存储（不压缩）的文件直接读取，deflate 压缩的文件
+ * 使用 DecompressionStream 解压，并与中央目录中的 CRC32 比较；TAR 按顺序读取
+ */
+
+// 压缩包读取对象
+const ArchiveReader = {
+    // TAR 的块大小
+    tarBlockSize: 512,
+
+    /**
+     * 根据文件名判断压缩包类型
+     * @param {string} name - 文件名
+     * @returns {string|null} 'zip'、'tar'、'tar.gz'，不是支持的压缩包时返回 null
+     */
+    getType(name) {
+        const lower = name.toLowerCase();
+
+        if (lower.endsWith('.zip')) return 'zip';
+        if (lower.endsWith('.tar')) return 'tar';
+        if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) return 'tar.gz';
+        return null;
+    },
+
+    /**
+     * 计算压缩包中每个文件的哈希值
+     * 单个文件读取失败时记录错误并继续；压缩包结构损坏时抛出错误
+     * @param {File} file - 压缩包文件
+     * @param {Array<string>} algorithms - 哈希算法名称数组
+     * @param {Object} options - 选项（hmacKey、outputLengths、algorithmKeys、resultFormat、control）
+     * @param {Function} options.onProgress - 进度回调，参数为 { path, index, processed, total, percentage }
+     * @returns {Promise<Object>} { type, entries: [{ path, size, hashValues, durations, duration, crc32, crcCheck, error }] }
+     */
+    async hashEntries(file, algorithms, options = {}) {
+        const type = this.getType(file.name);
+
+        switch (type) {
+            case 'zip':
+                return { type, entries: await this.hashZipEntries(file, algorithms, options) };
+            case 'tar':
+                return { type, entries: await this.hashTarEntries(file.stream(), algorithms, options) };
+            case 'tar.gz':
+                return { type, entries: await this.hashTarEntries(file.stream().pipeThrough(this.createDecompressionStream('gzip')), algorithms, options) };
+            default:
+                throw new Error('不支持的压缩包格式');
+        }
+    },
+
+    /**
+     * 创建解压流
+     * @param {string} format - 'gzip' 或 'deflate-raw'
+     * @returns {DecompressionStream} 解压流
+     */
+    createDecompressionStream(format) {
+        try {
+            return new DecompressionStream(format);
+        } catch (error) {
+            throw new Error(`浏览器不支持 ${format} 解压，请使用最新版本的浏览器`);
+        }
+    },
+
+    /**
+     * 计算单个文件的哈希值
+     * @param {string} path - 文件在压缩包中的路径
+     * @param {Array<string>} algorithms - 哈希算法名称数组
+     * @param {Function} readChunks - 读取文件内容的函数，接收块处理函数
+     * @param {Object} options - 选项，crc 为 true 时同时计算 CRC32 用于校验
+     * @returns {Promise<Object>} { path, size, hashValues, durations, duration, crc32, error }
+     */
+    async hashEntry(path, algorithms, readChunks, options = {}) {
+        const startTime = Date.now();
+        const crc = options.crc ? HashCalculator.createJsHashInstance('crc32') : null;
+        let size = 0;
+        let readError = null;
+
+        const { hashValues, durations } = await HashCalculator.hashChunks(algorithms, async (onChunk) => {
+            try {
+                await readChunks(async (data) => {
+                    size += data.byteLength;
+                    if (crc) await HashCalculator.updateHash(crc, data);
+                    await onChunk(data);
+                });
+            } catch (error) {
+                readError = error;
+                throw error;
+            }
+        }, options);
+
+        const entry = { path, size, hashValues, durations, duration: Date.now() - startTime };
+        if (readError) {
+            entry.error = readError.message;
+        } else if (crc) {
+            entry.crc32 = HashCalculator.bufferToHex(await HashCalculator.finalizeHash(crc));
+        }
+        return entry;
+    },
+
+    /**
+     * 计算 ZIP 中每个文件的哈希值，并与中央目录中的 CRC32 比较
+     * @param {File} file - ZIP 文件
+     * @param {Array<string>} algorithms - 哈希算法名称数组
+     * @param {Object} options - 选项
+     * @returns {Promise<Array<Object>>} 文件结果，crcCheck 为 'ok' 或 'mismatch'
+     */
+    async hashZipEntries(file, algorithms, options = {}) {
+        const { onProgress = null, control = null } = options;
+        const records = (await this.readZipDirectory(file)).filter(record => !record.name.endsWith('/'));
+        const entries = [];
+
+        for (let index = 0; index < records.length; index++) {
+            const record = records[index];
+            const report = processed => onProgress && onProgress({
+                path: record.name,
+                index,
+                processed,
+                total: record.size,
+                percentage: record.size > 0 ? Math.min(100, Math.round((processed / record.size) * 100)) : 100
+            });
+            report(0);
+
+            const entry = await this.hashEntry(record.name, algorithms, async (onChunk) => {
+                if (record.flags & 0x1) {
+                    throw new Error('文件已加密，无法计算');
+                }
+                if (record.method !== 0 && record.method !== 8) {
+                    throw new Error(`不支持的压缩方式（${record.method}）`);
+                }
+
+                const dataStart = await this.getZipDataOffset(file, record);
+                let stream = file.slice(dataStart, dataStart + record.compressedSize).stream();
+                if (record.method === 8) {
+                    stream = stream.pipeThrough(this.createDecompressionStream('deflate-raw'));
+                }
+
+                await HashCalculator.readStreamInChunks(stream, {
+                    control,
+                    onChunk,
+                    onProgress: progress => report(progress.processed)
+                });
+            }, { ...options, crc: true });
+
+            entry.expectedCrc32 = record.crc32.toString(16).padStart(8, '0');
+            if (!entry.error) {
+                entry.crcCheck = entry.crc32 === entry.expectedCrc32 && entry.size === record.size ? 'ok' : 'mismatch';
+            }
+            entries.push(entry);
+        }
+
+        return entries;
+    },
+
+    /**
+     * 读取 ZIP 的中央目录（支持 ZIP64）
+     * @param {File} file - ZIP 文件
+     * @returns {Promise<Array<Object>>} 记录 { name, flags, method, crc32, compressedSize, size, localHeaderOffset }
+     */
+    async readZipDirectory(file) {
+        // 中央目录结束记录位于文件末尾，后面最多有 65535 字节的注释
+        const tailStart = Math.max(0, file.size - 22 - 65535);
+        const tail = new DataView(await file.slice(tailStart).arrayBuffer());
+        let eocd = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('不是有效的 ZIP 文件（找不到中央目录）');
+        }
+
+        let count = tail.getUint16(eocd + 10, true);
+        let directorySize = tail.getUint32(eocd + 12, true);
+        let directoryOffset = tail.getUint32(eocd + 16, true);
+
+        // ZIP64：中央目录结束记录中的值放不下时，真实的值保存在 ZIP64 结束记录中
+        if (count === 0xFFFF || directorySize === 0xFFFFFFFF || directoryOffset === 0xFFFFFFFF) {
+            if (eocd < 20 || tail.getUint32(eocd - 20, true) !== 0x07064b50) {
+                throw new Error('ZIP64 文件结构无效');
+            }
+            const zip64Offset = this.getUint64(tail, eocd - 20 + 8);
+            const zip64 = new DataView(await file.slice(zip64Offset, zip64Offset + 56).arrayBuffer());
+            if (zip64.byteLength < 56 || zip64.getUint32(0, true) !== 0x06064b50) {
+                throw new Error('ZIP64 文件结构无效');
+            }
+            count = this.getUint64(zip64, 32);
+            directorySize = this.getUint64(zip64, 40);
+            directoryOffset = this.getUint64(zip64, 48);
+        }
+
+        const directory = new DataView(await file.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+        const bytes = new Uint8Array(directory.buffer);
+        const records = [];
+        let offset = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > directory.byteLength || directory.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('ZIP 中央目录已损坏');
+            }
+
+            const flags = directory.getUint16(offset + 8, true);
+            const nameLength = directory.getUint16(offset + 28, true);
+            const extraLength = directory.getUint16(offset + 30, true);
+            const commentLength = directory.getUint16(offset + 32, true);
+            const record = {
+                name: this.decodeZipName(bytes.subarray(offset + 46, offset + 46 + nameLength), flags),
+                flags,
+                method: directory.getUint16(offset + 10, true),
+                crc32: directory.getUint32(offset + 16, true),
+                compressedSize: directory.getUint32(offset + 20, true),
+                size: directory.getUint32(offset + 24, true),
+                localHeaderOffset: directory.getUint32(offset + 42, true)
+            };
+
+            this.applyZip64Extra(record, directory, offset + 46 + nameLength, extraLength);
+            records.push(record);
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return records;
+    },
+
+    /**
+     * 用 ZIP64 扩展字段中的值替换中央目录记录中的 0xFFFFFFFF
+     * @param {Object} record - 中央目录记录
+     * @param {DataView} view - 中央目录数据
+     * @param {number} start - 扩展字段的起始位置
+     * @param {number} length - 扩展字段的总长度
+     */
+    applyZip64Extra(record, view, start, length) {
+        let offset = start;
+
+        while (offset + 4 <= start + length) {
+            const id = view.getUint16(offset, true);
+            const size = view.getUint16(offset + 2, true);
+
+            if (id === 0x0001) {
+                // 只有值为 0xFFFFFFFF 的字段才出现在扩展字段中，并按固定顺序排列
+                let position = offset + 4;
+                ['size', 'compressedSize', 'localHeaderOffset'].forEach(field => {
+                    if (record[field] === 0xFFFFFFFF && position + 8 <= offset + 4 + size) {
+                        record[field] = this.getUint64(view, position);
+                        position += 8;
+                    }
+                });
+                return;
+            }
+
+            offset += 4 + size;
+        }
+    },
+
+    /**
+     * 读取本地文件头，获取文件数据的起始位置
+     * @param {File} file - ZIP 文件
+     * @param {Object} record - 中央目录记录
+     * @returns {Promise<number>} 数据起始位置
+     */
+    async getZipDataOffset(file, record) {
+        const header = new DataView(await file.slice(record.localHeaderOffset, record.localHeaderOffset + 30).arrayBuffer());
+
+        if (header.byteLength < 30 || header.getUint32(0, true) !== 0x04034b50) {
+            throw new Error('找不到文件数据，ZIP 文件可能已损坏');
+        }
+
+        return record.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    },
+
+    /**
+     * 解码 ZIP 中的文件名
+     * 标记了 UTF-8 或内容是有效 UTF-8 时按 UTF-8 解码，否则按 GBK 解码（中文 Windows 创建的 ZIP）
+     * @param {Uint8Array} bytes - 文件名字节
+     * @param {number} flags - 通用标志位
+     * @returns {string} 文件名
+     */
+    decodeZipName(bytes, flags) {
+        if (flags & 0x800) {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('gbk').decode(bytes);
+        }
+    },
+
+    /**
+     * 读取 64 位小端序无符号整数
+     * @param {DataView} view - 数据
+     * @param {number} offset - 位置
+     * @returns {number} 整数（超过 2^53 的值会损失精度，实际文件不会这么大）
+     */
+    getUint64(view, offset) {
+        return view.getUint32(offset + 4, true) * 0x100000000 + view.getUint32(offset, true);
+    },
+
+    /**
+     * 按顺序计算 TAR 中每个文件的哈希值
+     * 支持 ustar 前缀、GNU 长文件名和 PAX 扩展头中的路径和大小
+     * @param {ReadableStream} stream - TAR 数据流（.tar.gz 已解压）
+     * @param {Array<string>} algorithms - 哈希算法名称数组
+     * @param {Object} options - 选项
+     * @returns {Promise<Array<Object>>} 文件结果
+     */
+    async hashTarEntries(stream, algorithms, options = {}) {
+        const { onProgress = null, control = null } = options;
+        const reader = this.createByteReader(stream, control);
+        const entries = [];
+        let longName = null;
+        let pax = {};
+
+        try {
+            while (true) {
+                const block = await reader.read(this.tarBlockSize);
+                // 全零块表示压缩包结束
+                if (block.length < this.tarBlockSize || block.every(byte => byte === 0)) break;
+
+                const header = this.parseTarHeader(block);
+                const size = pax.size !== undefined ? pax.size : header.size;
+                const padding = (this.tarBlockSize - (size % this.tarBlockSize)) % this.tarBlockSize;
+
+                if (header.type === 'L') {
+                    // GNU 长文件名，内容为下一个文件的名称
+                    longName = this.readCString(await reader.read(size));
+                } else if (header.type === 'x') {
+                    pax = this.parsePax(await reader.read(size));
+                } else if (header.type === '0' || header.type === '\0' || header.type === '7') {
+                    const path = pax.path || longName || header.name;
+                    const index = entries.length;
+                    const report = processed => onProgress && onProgress({
+                        path,
+                        index,
+                        processed,
+                        total: size,
+                        percentage: size > 0 ? Math.round((processed / size) * 100) : 100
+                    });
+                    report(0);
+
+                    let processed = 0;
+                    const entry = await this.hashEntry(path, algorithms, onChunk => reader.pipe(size, async (data) => {
+                        await onChunk(data);
+                        processed += data.byteLength;
+                        report(processed);
+                    }), options);
+                    entries.push(entry);
+
+                    // TAR 只能顺序读取，读取失败后无法找到下一个文件
+                    if (entry.error) break;
+                } else {
+                    // 目录、链接和全局 PAX 头等没有需要计算的内容
+                    await reader.pipe(size, () => {});
+                }
+
+                if (header.type !== 'L' && header.type !== 'x') {
+                    longName = null;
+                    pax = {};
+                }
+                await reader.pipe(padding, () => {});
+            }
+        } finally {
+            reader.cancel();
+        }
+
+        return entries;
+    },
+
+    /**
+     * 解析 TAR 头部块并校验校验和
+     * @param {Uint8Array} block - 512 字节的头部
+     * @returns {Object} { name, size, type }
+     */
+    parseTarHeader(block) {
+        // 校验和按校验和字段全部为空格计算
+        let checksum = 0;
+        for (let i = 0; i < block.length; i++) {
+            checksum += i >= 148 && i < 156 ? 0x20 : block[i];
+        }
+        if (checksum !== this.parseTarNumber(block.subarray(148, 156))) {
+            throw new Error('不是有效的 TAR 文件（头部校验和错误）');
+        }
+
+        const name = this.readCString(block.subarray(0, 100));
+        const isUstar = this.readCString(block.subarray(257, 262)) === 'ustar';
+        const prefix = isUstar ? this.readCString(block.subarray(345, 500)) : '';
+
+        return {
+            name: prefix ? `${prefix}/${name}` : name,
+            size: this.parseTarNumber(block.subarray(124, 136)),
+            type: String.fromCharCode(block[156])
+        };
+    },
+
+    /**
+     * 解析 TAR 头部中的数字（八进制文本，或 GNU 的 base-256 编码）
+     * @param {Uint8Array} bytes - 字段字节
+     * @returns {number} 数值
+     */
+    parseTarNumber(bytes) {
+        if (bytes[0] & 0x80) {
+            let value = bytes[0] & 0x7f;
+            for (let i = 1; i < bytes.length; i++) {
+                value = value * 256 + bytes[i];
+            }
+            return value;
+        }
+
+        const text = this.readCString(bytes).trim();
+        return text ? parseInt(text, 8) : 0;
+    },
+
+    /**
+     * 解析 PAX 扩展头（每行格式为 "长度 键=值\n"）
+     * @param {Uint8Array} bytes - 扩展头内容
+     * @returns {Object} { path, size }
+     */
+    parsePax(bytes) {
+        const result = {};
+        const decoder = new TextDecoder('utf-8');
+        let offset = 0;
+
+        while (offset < bytes.length) {
+            const space = bytes.indexOf(0x20, offset);
+            const length = parseInt(decoder.decode(bytes.subarray(offset, space)), 10);
+            if (space === -1 || !length) break;
+
+            const record = decoder.decode(bytes.subarray(space + 1, offset + length - 1));
+            const separator = record.indexOf('=');
+            const key = record.substring(0, separator);
+            const value = record.substring(separator + 1);
+
+            if (key === 'path') result.path = value;
+            if (key === 'size') result.size = parseInt(value, 10);
+            offset += length;
+        }
+
+        return result;
+    },
+
+    /**
+     * 读取以 NUL 结尾的 UTF-8 字符串
+     * @param {Uint8Array} bytes - 字节
+     * @returns {string} 字符串
+     */
+    readCString(bytes) {
+        const end = bytes.indexOf(0);
+        return new TextDecoder('utf-8').decode(end === -1 ? bytes : bytes.subarray(0, end));
+    },
+
+    /**
+     * 创建按字节数读取数据流的读取器
+     * @param {ReadableStream} stream - 数据流
+     * @param {Object} control - 计算控制对象（可选），用于暂停和取消
+     * @returns {Object} { read(n), pipe(n, onChunk), cancel() }
+     */
+    createByteReader(stream, control = null) {
+        const reader = stream.getReader();
+        let buffer = new Uint8Array(0);
+        let done = false;
+
+        const fill = async () => {
+            while (buffer.length === 0 && !done) {
+                if (control) {
+                    await control.waitIfPaused();
+                    if (control.cancelled) {
+                        throw HashCalculator.createAbortError();
+                    }
+                }
+
+                const result = await reader.read();
+                if (result.done) {
+                    done = true;
+                } else {
+                    buffer = result.value;
+                }
+            }
+        };
+
+        return {
+            // 读取 n 个字节，数据流结束时返回的字节数可能少于 n
+            async read(n) {
+                const bytes = new Uint8Array(n);
+                let length = 0;
+
+                while (length < n) {
+                    await fill();
+                    if (buffer.length === 0) break;
+
+                    const take = Math.min(n - length, buffer.length);
+                    bytes.set(buffer.subarray(0, take), length);
+                    buffer = buffer.subarray(take);
+                    length += take;
+                }
+
+                return bytes.subarray(0, length);
+            },
+
+            // 把接下来的 n 个字节按块交给 onChunk 处理
+            async pipe(n, onChunk) {
+                let remaining = n;
+
+                while (remaining > 0) {
+                    await fill();
+                    if (buffer.length === 0) {
+                        throw new Error('压缩包不完整');
+                    }
+
+                    const take = Math.min(remaining, buffer.length);
+                    await onChunk(buffer.subarray(0, take));
+                    buffer = buffer.subarray(take);
+                    remaining -= take;
+                }
+            },
+
+            cancel() {
+                reader.cancel().catch(() => {});
+            }
+        };
+    }
+};
@@ -0,0 +1,212 @@
+/**
+ * 批量计算进度模块
+ * 负责记录一次计算中每个文件的状态和进度，并根据最近几秒的处理速度估算整批文件的剩余时间
+ *
+ * 文件状态：queued（排队中）、hashing（计算中）、done（完成）、failed（失败）、cached（使用缓存）
+ * 使用缓存的文件不需要读取，计入总进度但不参与速度和剩余时间的计算；暂停的时间不计入耗时
+ */
+
+// 批量计算进度对象
+const BatchProgress = {
+    // 计算速度使用的时间窗口（毫秒）
+    speedWindow: 5000,
+
+    // 各状态的显示名称
+    stateLabels: {
+        queued: '排队中',
+        hashing: '计算中',
+        done: '完成',
+        failed: '失败',
+        cached: '已缓存'
+    },
+
+    /**
+     * 创建一批文件的进度记录
+     * @param {Array<Object>} items - 文件 { file, path, size, cached }
+     * @returns {Object} 进度记录
+     */
+    create(items) {
+        const now = Date.now();
+
+        return {
+            indexes: new Map(items.map((item, index) => [item.file, index])),
+            items: items.map(item => ({
+                path: item.path,
+                size: item.size,
+                state: item.cached ? 'cached' : 'queued',
+                processed: item.cached ? item.size : 0,
+                startedAt: null,
+                activeTime: 0,
+                error: null
+            })),
+            totalBytes: items.reduce((sum, item) => sum + item.size, 0),
+            // 已读取的字节数（不含使用缓存的文件）
+            readBytes: 0,
+            startedAt: now,
+            pausedAt: null,
+            pausedTime: 0,
+            // 最近的 { time, bytes } 采样，bytes 为已读取的字节数（不含缓存）
+            samples: [{ time: now, bytes: 0 }]
+        };
+    },
+
+    /**
+     * 获取扣除暂停时间后的当前时刻
+     * @param {Object} batch - 进度记录
+     * @returns {number} 时间戳
+     */
+    getActiveNow(batch) {
+        return (batch.pausedAt || Date.now()) - batch.pausedTime;
+    },
+
+    /**
+     * 获取文件的进度
+     * @param {Object} batch - 进度记录
+     * @param {File} file - 文件
+     * @returns {Object} 文件进度
+     */
+    getItem(batch, file) {
+        return batch.items[batch.indexes.get(file)];
+    },
+
+    /**
+     * 开始计算一个文件
+     * @param {Object} batch - 进度记录
+     * @param {File} file - 文件
+     */
+    start(batch, file) {
+        const item = this.getItem(batch, file);
+        if (item.state !== 'queued') return;
+
+        item.state = 'hashing';
+        item.startedAt = this.getActiveNow(batch);
+    },
+
+    /**
+     * 更新一个文件已处理的字节数
+     * @param {Object} batch - 进度记录
+     * @param {File} file - 文件
+     * @param {number} processed - 已处理的字节数
+     */
+    update(batch, file, processed) {
+        const item = this.getItem(batch, file);
+        this.start(batch, file);
+        if (item.state !== 'hashing') return;
+
+        this.setProcessed(batch, item, Math.min(processed, item.size));
+        item.activeTime = this.getActiveNow(batch) - item.startedAt;
+        this.addSample(batch);
+    },
+
+    /**
+     * 结束一个文件
+     * @param {Object} batch - 进度记录
+     * @param {File} file - 文件
+     * @param {string} state - 'done' 或 'failed'
+     * @param {string} error - 失败原因
+     */
+    finish(batch, file, state, error = null) {
+        const item = this.getItem(batch, file);
+        this.start(batch, file);
+
+        item.state = state;
+        item.error = error;
+        item.activeTime = this.getActiveNow(batch) - item.startedAt;
+        if (state === 'done') {
+            this.setProcessed(batch, item, item.size);
+        }
+        this.addSample(batch);
+    },
+
+    /**
+     * 暂停计时
+     * @param {Object} batch - 进度记录
+     */
+    pause(batch) {
+        if (!batch.pausedAt) {
+            batch.pausedAt = Date.now();
+        }
+    },
+
+    /**
+     * 继续计时，暂停的时间不计入耗时
+     * @param {Object} batch - 进度记录
+     */
+    resume(batch) {
+        if (!batch.pausedAt) return;
+
+        batch.pausedTime += Date.now() - batch.pausedAt;
+        batch.pausedAt = null;
+    },
+
+    /**
+     * 设置文件已处理的字节数，同时更新整批已读取的字节数
+     * @param {Object} batch - 进度记录
+     * @param {Object} item - 文件进度
+     * @param {number} processed - 已处理的字节数
+     */
+    setProcessed(batch, item, processed) {
+        batch.readBytes += processed - item.processed;
+        item.processed = processed;
+    },
+
+    /**
+     * 记录一次已读取字节数的采样，只保留时间窗口内的采样
+     * @param {Object} batch - 进度记录
+     */
+    addSample(batch) {
+        const time = this.getActiveNow(batch);
+        const bytes = batch.readBytes;
+
+        batch.samples.push({ time, bytes });
+        while (batch.samples.length > 2 && time - batch.samples[1].time >= this.speedWindow) {
+            batch.samples.shift();
+        }
+    },
+
+    /**
+     * 计算单个文件的读取速度
+     * @param {Object} item - 文件进度
+     * @returns {number|null} 字节/秒，尚无数据时返回 null
+     */
+    getItemSpeed(item) {
+        if (item.state === 'cached' || item.activeTime <= 0 || item.processed === 0) return null;
+        return item.processed / (item.activeTime / 1000);
+    },
+
+    /**
+     * 汇总整批文件的进度
+     * 失败的文件按已结束计入总进度；速度取最近几秒的平均值，剩余时间为未读取的字节数除以速度
+     * @param {Object} batch - 进度记录
+     * @returns {Object} { processed, total, percentage, speed, remainingMs, counts }
+     */
+    getSummary(batch) {
+        const counts = { queued: 0, hashing: 0, done: 0, failed: 0, cached: 0 };
+        let processed = 0;
+        let remainingBytes = 0;
+
+        batch.items.forEach(item => {
+            counts[item.state]++;
+            if (item.state === 'queued' || item.state === 'hashing') {
+                processed += item.processed;
+                remainingBytes += item.size - item.processed;
+            } else {
+                processed += item.size;
+            }
+        });
+
+        const first = batch.samples[0];
+        const last = batch.samples[batch.samples.length - 1];
+        const elapsed = last.time - first.time;
+        const speed = elapsed > 0 && last.bytes > first.bytes ? (last.bytes - first.bytes) / (elapsed / 1000) : null;
+
+        return {
+            processed,
+            total: batch.totalBytes,
+            percentage: batch.totalBytes > 0 ? Math.floor((processed / batch.totalBytes) * 100) : (counts.queued + counts.hashing === 0 ? 100 : 0),
+            speed,
+            remainingMs: speed ? (remainingBytes / speed) * 1000 : null,
+            counts
+        };
+    }
+};
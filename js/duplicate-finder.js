@@ -0,0 +1,99 @@
+/**
+ * 重复文件查找模块
+ * 先按文件大小分组，再依次用快速哈希和强哈希确认内容相同的文件，
+ * 只有大小相同的文件才需要计算哈希值，快速哈希不同的文件不再计算强哈希
+ */
+
+// 重复文件查找对象
+const DuplicateFinder = {
+    // 第一轮使用的快速哈希（非加密）
+    fastAlgorithm: 'xxh64',
+
+    // 最终确认使用的强哈希
+    strongAlgorithm: 'sha256',
+
+    /**
+     * 按文件大小分组，只保留有两个及以上文件的组
+     * 空文件不占用空间，不参与查找
+     * @param {Array<Object>} entries - 文件条目 { path, size, file }
+     * @returns {Array<Array<Object>>} 分组
+     */
+    groupBySize(entries) {
+        return this.groupBy(entries.filter(entry => entry.size > 0), entry => entry.size);
+    },
+
+    /**
+     * 按哈希值细分已有的分组，计算失败的文件被排除
+     * @param {Array<Array<Object>>} groups - 分组
+     * @param {Map<File, string>} hashes - 文件到哈希值的映射
+     * @returns {Array<Array<Object>>} 细分后的分组
+     */
+    refineByHash(groups, hashes) {
+        const isHash = value => typeof value === 'string' && /^[0-9a-fA-F]+$/.test(value);
+
+        return groups.reduce((refined, group) => refined.concat(this.groupBy(
+            group.filter(entry => isHash(hashes.get(entry.file))),
+            entry => hashes.get(entry.file).toLowerCase()
+        )), []);
+    },
+
+    /**
+     * 按键分组，只保留有两个及以上条目的组
+     * @param {Array<Object>} entries - 条目
+     * @param {Function} getKey - 获取分组键的函数
+     * @returns {Array<Array<Object>>} 分组
+     */
+    groupBy(entries, getKey) {
+        const groups = new Map();
+
+        entries.forEach(entry => {
+            const key = getKey(entry);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        });
+
+        return Array.from(groups.values()).filter(group => group.length > 1);
+    },
+
+    /**
+     * 把确认后的分组转换为重复文件组，按浪费的空间从大到小排序
+     * 默认保留路径排在最前面的文件
+     * @param {Array<Array<Object>>} groups - 强哈希相同的分组
+     * @param {Map<File, string>} hashes - 文件到强哈希值的映射
+     * @returns {Array<Object>} 重复文件组 { hash, size, entries, wasted, keep }
+     */
+    buildSets(groups, hashes) {
+        return groups.map(group => {
+            const entries = group.slice().sort((a, b) => a.path.localeCompare(b.path));
+            const size = entries[0].size;
+
+            return {
+                hash: hashes.get(entries[0].file).toLowerCase(),
+                size,
+                entries,
+                wasted: size * (entries.length - 1),
+                keep: 0
+            };
+        }).sort((a, b) => b.wasted - a.wasted || a.entries[0].path.localeCompare(b.entries[0].path));
+    },
+
+    /**
+     * 计算所有重复文件组浪费的总空间
+     * @param {Array<Object>} sets - 重复文件组
+     * @returns {number} 字节数
+     */
+    getTotalWasted(sets) {
+        return sets.reduce((sum, set) => sum + set.wasted, 0);
+    },
+
+    /**
+     * 获取多余文件（每组中除保留的文件以外的文件）的路径
+     * @param {Array<Object>} sets - 重复文件组
+     * @returns {Array<string>} 路径数组
+     */
+    getRedundantPaths(sets) {
+        return sets.reduce((paths, set) => paths.concat(
+            set.entries.filter((entry, index) => index !== set.keep).map(entry => entry.path)
+        ), []);
+    }
+};
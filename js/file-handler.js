@@ -8,9 +8,28 @@ const FileHandler = {
     // 当前选中的文件列表
     selectedFiles: [],
     
+    // 拖入文件夹时读取到的文件的相对路径（这类文件的 webkitRelativePath 为空）
+    relativePaths: new WeakMap(),
+    
     // 计算结果列表
     calculationResults: [],
     
+    // 最近一次计算使用的参数，导出结构化结果时写入元数据
+    calculationInfo: null,
+    
+    // 计算文件夹后得到的目录树摘要，没有时为 null
+    treeDigest: null,
+    
+    // 当前计算的控制对象（暂停、继续、取消），没有计算时为 null
+    calculationControl: null,
+    
+    // 当前计算中每个文件的状态和进度（BatchProgress），没有计算时为 null
+    batchProgress: null,
+    
+    // 文件队列中每个文件对应的行元素，以及上次刷新进度的时间
+    progressRows: [],
+    progressRenderedAt: 0,
+    
     /**
      * 初始化文件处理器
      */
@@ -24,9 +43,12 @@ const FileHandler = {
     setupEventListeners() {
         const dropArea = document.getElementById('drop-area');
         const fileInput = document.getElementById('file-input');
+        const folderInput = document.getElementById('folder-input');
         const calculateBtn = document.getElementById('calculate-btn');
         const clearBtn = document.getElementById('clear-btn');
-        const fileSelectLabel = dropArea.querySelector('label'); // 获取选择文件按钮
+        const pauseBtn = document.getElementById('pause-btn');
+        const cancelBtn = document.getElementById('cancel-btn');
+        const fileSelectLabels = dropArea.querySelectorAll('label'); // 获取选择文件和选择文件夹按钮
 
         // 拖拽事件
         dropArea.addEventListener('dragover', (e) => this.handleDragOver(e));
@@ -35,12 +57,17 @@ const FileHandler = {
 
         // 点击选择文件
         dropArea.addEventListener('click', () => fileInput.click());
-        fileSelectLabel.addEventListener('click', (e) => e.stopPropagation()); // 阻止事件冒泡
+        fileSelectLabels.forEach(label => label.addEventListener('click', (e) => e.stopPropagation())); // 阻止事件冒泡
         fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
+        folderInput.addEventListener('change', (e) => this.handleFileSelect(e));
 
         // 计算和清除按钮
         calculateBtn.addEventListener('click', () => this.startCalculation());
         clearBtn.addEventListener('click', () => this.clearFiles());
+
+        // 暂停/继续和取消按钮
+        pauseBtn.addEventListener('click', () => this.togglePause());
+        cancelBtn.addEventListener('click', () => this.cancelCalculation());
     },
     
     /**
@@ -65,20 +92,88 @@ const FileHandler = {
     
     /**
      * 处理文件拖放事件
+     * 拖入文件夹时递归读取其中的所有文件，路径相对于拖入的位置
      * @param {DragEvent} e - 拖拽事件对象
      */
-    handleDrop(e) {
+    async handleDrop(e) {
         e.preventDefault();
         e.stopPropagation();
         
         const dropArea = document.getElementById('drop-area');
         dropArea.classList.remove('drag-over');
         
-        if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-            this.processFiles(Array.from(e.dataTransfer.files));
+        // 事件处理函数返回后 DataTransfer 就会失效，必须先同步取出所有条目
+        const entries = Array.from(e.dataTransfer.items || [])
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+            .filter(Boolean);
+        
+        if (entries.length === 0) {
+            // 浏览器不支持读取文件夹时按普通文件处理
+            if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+                this.processFiles(Array.from(e.dataTransfer.files));
+            }
+            return;
+        }
+        
+        try {
+            const files = [];
+            for (const entry of entries) {
+                await this.collectEntryFiles(entry, files);
+            }
+            
+            // 目录的读取顺序不固定，按路径排序使结果顺序稳定
+            files.sort((a, b) => this.getRelativePath(a).localeCompare(this.getRelativePath(b)));
+            
+            if (files.length === 0) {
+                UI.showNotification('没有文件', '拖入的文件夹中没有文件', 'warning');
+                return;
+            }
+            
+            this.processFiles(files);
+        } catch (error) {
+            console.error('读取拖入的文件失败:', error);
+            UI.showNotification('读取失败', `无法读取拖入的文件夹: ${error.message}`, 'error');
         }
     },
     
+    /**
+     * 递归收集文件系统条目中的所有文件，并记录它们的相对路径
+     * @param {FileSystemEntry} entry - 拖入的文件或文件夹条目
+     * @param {Array<File>} files - 收集到的文件
+     * @returns {Promise<void>}
+     */
+    async collectEntryFiles(entry, files) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            this.relativePaths.set(file, entry.fullPath.replace(/^\/+/, ''));
+            files.push(file);
+            return;
+        }
+        
+        if (entry.isDirectory) {
+            const reader = entry.createReader();
+            
+            // readEntries 每次只返回一部分条目，需要反复调用直到返回空数组
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await this.collectEntryFiles(child, files);
+                }
+            } while (batch.length > 0);
+        }
+    },
+    
+    /**
+     * 获取文件的相对路径
+     * 通过选择文件夹或拖入文件夹得到的文件返回包含文件夹名的路径，其他文件返回文件名
+     * @param {File} file - 文件
+     * @returns {string} 相对路径
+     */
+    getRelativePath(file) {
+        return this.relativePaths.get(file) || file.webkitRelativePath || file.name;
+    },
+    
     /**
      * 处理文件选择事件
      * @param {Event} e - 文件选择事件对象
@@ -97,6 +192,27 @@ const FileHandler = {
         // 检查是否有文件被选择
         if (files.length === 0) return;
         
+        // 按过滤规则筛选文件
+        const filter = SettingsManager.get('fileFilter');
+        if (filter.enabled) {
+            const matches = GlobFilter.createMatcher(filter);
+            const accepted = files.filter(file => matches(this.getRelativePath(file), file.size));
+            
+            if (accepted.length === 0) {
+                UI.showNotification('没有符合条件的文件', `${files.length} 个文件都被过滤规则排除了`, 'warning');
+                return;
+            }
+            
+            if (accepted.length < files.length) {
+                UI.showNotification('已过滤文件', `按过滤规则跳过了 ${files.length - accepted.length} 个文件，保留 ${accepted.length} 个`, 'info');
+            }
+            
+            files = accepted;
+        }
+        
+        // 取消正在进行的计算，它的结果属于之前选择的文件
+        this.cancelCalculation();
+        
         // 更新选中的文件列表
         this.selectedFiles = files;
         
@@ -137,7 +253,8 @@ const FileHandler = {
             
             const fileName = document.createElement('span');
             fileName.className = 'truncate max-w-[200px] sm:max-w-[300px]';
-            fileName.textContent = file.name;
+            fileName.textContent = this.getRelativePath(file);
+            fileName.setAttribute('title', this.getRelativePath(file));
             
             fileInfo.appendChild(fileIcon);
             fileInfo.appendChild(fileName);
@@ -201,8 +318,53 @@ const FileHandler = {
             return;
         }
         
+        // 本次计算的文件。计算期间重新选择或清除文件时，this.selectedFiles 会被替换，本次计算的结果随之作废
+        const selectedFiles = this.selectedFiles;
+        const isStale = () => this.selectedFiles !== selectedFiles;
+        
+        // 获取HMAC密钥
+        let hmacKey = null;
+        if (selectedAlgorithms.some(algorithm => algorithm.startsWith('hmac-'))) {
+            try {
+                hmacKey = UI.getHmacKey();
+            } catch (error) {
+                UI.showNotification('密钥无效', error.message, 'warning');
+                return;
+            }
+        }
+        
+        // 获取可变长度算法的输出长度和 BLAKE 系列的密钥
+        let outputLengths, algorithmKeys;
+        try {
+            outputLengths = UI.getOutputLengths();
+            algorithmKeys = UI.getAlgorithmKeys();
+        } catch (error) {
+            UI.showNotification('参数无效', error.message, 'warning');
+            return;
+        }
+        
         // 清空之前的结果
         this.calculationResults = [];
+        this.treeDigest = null;
+        
+        // 记录本次计算的参数（不记录密钥本身）
+        const useWorkers = SettingsManager.get('useWorkers') && WorkerPool.isSupported();
+        const calculationInfo = {
+            startedAt: Date.now(),
+            finishedAt: null,
+            algorithms: selectedAlgorithms,
+            chunkSize: SettingsManager.get('chunkSize'),
+            resultFormat: SettingsManager.get('resultFormat'),
+            useWorkers,
+            outputLengths,
+            keyedAlgorithms: selectedAlgorithms.filter(algorithm => algorithm.startsWith('hmac-') || algorithmKeys[algorithm])
+        };
+        this.calculationInfo = calculationInfo;
+        
+        // 创建本次计算的控制对象
+        const control = HashCalculator.createCalculationControl();
+        this.calculationControl = control;
+        this.updatePauseButton(false);
         
         // 显示进度条
         const progressContainer = document.getElementById('progress-container');
@@ -214,67 +376,453 @@ const FileHandler = {
         // 禁用计算按钮
         document.getElementById('calculate-btn').disabled = true;
         
+        // 计算完成或取消后仍有结果时保存到历史记录
+        let saveToHistory = false;
+        let results = [];
+        
         try {
-            // 逐个计算文件的哈希值
-            for (let i = 0; i < this.selectedFiles.length; i++) {
-                const file = this.selectedFiles[i];
-                
-                // 更新进度条标题
-                document.getElementById('progress-file-name').textContent = file.name;
-                
-                // 计算哈希值
-                const result = await HashCalculator.calculateMultipleHashes(file, selectedAlgorithms, {
-                    onProgress: (progress) => this.updateProgress(progress, file.size)
+            // 大小和修改时间都没有变化的文件直接使用缓存的哈希值
+            const cached = await this.findCachedResults(selectedFiles, selectedAlgorithms, calculationInfo);
+            const files = selectedFiles.filter(file => !cached.has(file));
+            const computed = new Map();
+            let treeDigest = null;
+            
+            // 列出所有文件的状态，使用缓存的文件直接标记为已缓存
+            const batch = BatchProgress.create(selectedFiles.map(file => ({
+                file,
+                path: this.getRelativePath(file),
+                size: file.size,
+                cached: cached.has(file)
+            })));
+            this.batchProgress = batch;
+            this.createProgressQueue();
+            
+            try {
+                if (useWorkers) {
+                    // 在后台线程中并行计算
+                    await this.calculateWithWorkers(files, selectedAlgorithms, { control, batch, hmacKey, outputLengths, algorithmKeys, results: computed });
+                } else {
+                    // 在主线程中逐个计算文件的哈希值
+                    for (const file of files) {
+                        BatchProgress.start(batch, file);
+                        this.updateProgress(true);
+                        
+                        // 计算哈希值
+                        const result = await HashCalculator.calculateMultipleHashes(file, selectedAlgorithms, {
+                            control,
+                            hmacKey,
+                            outputLengths,
+                            algorithmKeys,
+                            onProgress: (progress) => {
+                                BatchProgress.update(batch, file, progress.processed);
+                                this.updateProgress();
+                            }
+                        });
+                        result.path = this.getRelativePath(file);
+                        
+                        computed.set(file, result);
+                        this.finishProgress(batch, file, result);
+                    }
+                }
+            } finally {
+                // 按文件顺序合并缓存的结果和新计算的结果（取消时只包含已完成的文件）
+                results = selectedFiles.map(file => cached.get(file) || computed.get(file)).filter(Boolean);
+                if (!isStale()) {
+                    this.calculationResults = results;
+                }
+                await this.storeInCache(Array.from(computed.values()), calculationInfo);
+            }
+            
+            // 勾选“检查压缩包内的文件”时计算压缩包中每个文件的哈希值
+            if (document.getElementById('inspect-archives').checked) {
+                for (const file of selectedFiles) {
+                    const result = cached.get(file) || computed.get(file);
+                    if (result && ArchiveReader.getType(file.name)) {
+                        result.archive = await this.inspectArchive(file, selectedAlgorithms, { control, hmacKey, outputLengths, algorithmKeys });
+                    }
+                }
+            }
+            
+            // 计算文件夹时生成目录树摘要（只在所有文件都计算完成后生成）
+            if (results.some(result => result.path.includes('/'))) {
+                treeDigest = await TreeDigest.calculate(results, {
+                    keyedAlgorithms: calculationInfo.keyedAlgorithms,
+                    resultFormat: calculationInfo.resultFormat
                 });
-                
-                // 添加到结果列表
-                this.calculationResults.push(result);
             }
             
+            // 计算压缩包或目录树摘要期间文件列表已被替换时，按取消处理
+            if (isStale()) {
+                throw HashCalculator.createAbortError();
+            }
+            this.treeDigest = treeDigest;
+            
             // 显示结果
             this.displayResults();
+            saveToHistory = true;
             
             // 显示成功通知
-            UI.showNotification('计算完成', `成功计算了 ${this.selectedFiles.length} 个文件的哈希值`, 'success');
+            const cachedCount = results.filter(result => result.cached).length;
+            UI.showNotification('计算完成', cachedCount > 0
+                ? `成功计算了 ${selectedFiles.length} 个文件的哈希值，其中 ${cachedCount} 个文件未修改，使用了缓存的结果`
+                : `成功计算了 ${selectedFiles.length} 个文件的哈希值`, 'success');
             
             // 如果有多个文件，自动进行比较
-            if (this.selectedFiles.length > 1) {
+            if (selectedFiles.length > 1) {
                 this.compareMultipleFiles();
             }
         } catch (error) {
-            console.error('计算哈希值失败:', error);
-            UI.showNotification('计算失败', `计算哈希值时出错: ${error.message}`, 'error');
+            if (HashCalculator.isAbortError(error)) {
+                // 文件列表已被清除或替换时丢弃部分结果，否则保留已经完成的文件的结果
+                if (!isStale()) {
+                    if (results.length > 0) {
+                        this.displayResults();
+                        saveToHistory = true;
+                    }
+                    UI.showNotification('计算已取消', `已完成 ${results.length} 个文件，其余文件已取消`, 'warning');
+                }
+            } else {
+                console.error('计算哈希值失败:', error);
+                UI.showNotification('计算失败', `计算哈希值时出错: ${error.message}`, 'error');
+            }
         } finally {
-            // 隐藏进度条
-            progressContainer.classList.add('hidden');
+            calculationInfo.finishedAt = Date.now();
+            
+            // 之后已经开始了新的计算时，进度和按钮状态属于新的计算，不再重置
+            if (this.calculationControl === control) {
+                this.calculationControl = null;
+                this.batchProgress = null;
+                
+                // 隐藏进度条
+                progressContainer.classList.add('hidden');
+                
+                // 重新启用计算按钮（文件列表被清除时保持禁用）
+                document.getElementById('calculate-btn').disabled = this.selectedFiles.length === 0;
+            }
+        }
+        
+        if (saveToHistory) {
+            await this.saveToHistory();
+        }
+    },
+    
+    /**
+     * 计算压缩包中每个文件的哈希值
+     * 压缩包无法读取时只记录错误，不影响其他文件的结果
+     * @param {File} file - 压缩包文件
+     * @param {Array<string>} algorithms - 选中的算法
+     * @param {Object} options - 传给 ArchiveReader.hashEntries 的选项
+     * @returns {Promise<Object>} { type, entries, error }
+     */
+    async inspectArchive(file, algorithms, options) {
+        const path = this.getRelativePath(file);
+        
+        try {
+            return await ArchiveReader.hashEntries(file, algorithms, {
+                ...options,
+                onProgress: (progress) => {
+                    document.getElementById('progress-file-name').textContent =
+                        `正在检查压缩包：${path} › ${progress.path}（${progress.percentage}%）`;
+                }
+            });
+        } catch (error) {
+            if (HashCalculator.isAbortError(error)) {
+                throw error;
+            }
+            console.error('读取压缩包失败:', error);
+            return { type: ArchiveReader.getType(file.name), entries: [], error: error.message };
+        }
+    },
+    
+    /**
+     * 从哈希缓存中查找未修改文件的结果（需要在设置中开启，勾选“强制重新计算”时不使用缓存）
+     * 读取缓存失败时重新计算所有文件
+     * @param {Array<File>} files - 本次计算的文件
+     * @param {Array<string>} algorithms - 选中的算法
+     * @param {Object} info - 本次计算的参数（outputLengths、keyedAlgorithms、resultFormat）
+     * @returns {Promise<Map<File, Object>>} 文件到缓存结果的映射
+     */
+    async findCachedResults(files, algorithms, info) {
+        if (!SettingsManager.get('useHashCache') || !HashCache.isSupported() || document.getElementById('force-rehash').checked) {
+            return new Map();
+        }
+        
+        try {
+            return await HashCache.findCachedResults(files, algorithms, {
+                getPath: file => this.getRelativePath(file),
+                outputLengths: info.outputLengths,
+                keyedAlgorithms: info.keyedAlgorithms,
+                resultFormat: info.resultFormat
+            });
+        } catch (error) {
+            console.error('读取哈希缓存失败:', error);
+            return new Map();
+        }
+    },
+    
+    /**
+     * 把新计算的结果写入哈希缓存（需要在设置中开启）
+     * 写入失败不影响计算结果。文件列表被清除后 this.calculationInfo 为 null，因此使用本次计算开始时记录的参数
+     * @param {Array<Object>} results - 新计算的结果
+     * @param {Object} info - 本次计算的参数（outputLengths、keyedAlgorithms）
+     */
+    async storeInCache(results, info) {
+        if (!SettingsManager.get('useHashCache') || !HashCache.isSupported() || results.length === 0) return;
+        
+        try {
+            await HashCache.storeResults(results, {
+                outputLengths: info.outputLengths,
+                keyedAlgorithms: info.keyedAlgorithms
+            });
+        } catch (error) {
+            console.error('写入哈希缓存失败:', error);
+        }
+    },
+    
+    /**
+     * 把本次计算的结果保存到历史记录（需要在设置中开启）
+     * 保存失败不影响已经显示的结果，只提示用户
+     */
+    async saveToHistory() {
+        if (!SettingsManager.get('saveHistory') || !HistoryStore.isSupported()) return;
+        
+        try {
+            await HistoryStore.addRun({
+                timestamp: this.calculationInfo.finishedAt,
+                info: this.calculationInfo,
+                treeDigest: this.treeDigest,
+                results: this.calculationResults
+            });
             
-            // 重新启用计算按钮
-            document.getElementById('calculate-btn').disabled = false;
+            // 正在查看历史记录时刷新列表
+            if (!document.getElementById('history-section').classList.contains('hidden')) {
+                UI.loadHistory();
+            }
+        } catch (error) {
+            console.error('保存历史记录失败:', error);
+            UI.showNotification('历史记录保存失败', error.message, 'warning');
+        }
+    },
+    
+    /**
+     * 使用Web Worker线程池并行计算文件的哈希值
+     * 进度条显示整批文件的总体进度。每个文件完成后结果立即写入 options.results，
+     * 计算被取消或出错时，已完成的文件结果仍会保留
+     * @param {Array<File>} files - 要计算的文件
+     * @param {Array<string>} algorithms - 选中的算法数组
+     * @param {Object} options - 选项（control、batch、hmacKey、outputLengths、algorithmKeys、results）
+     * @returns {Promise<void>}
+     */
+    async calculateWithWorkers(files, algorithms, options = {}) {
+        const { control = null, batch = null, hmacKey = null, outputLengths = {}, algorithmKeys = {}, results = new Map() } = options;
+        if (files.length === 0) return;
+        
+        const outcomes = await Promise.allSettled(files.map(file => WorkerPool.run(file, algorithms, {
+            chunkSize: SettingsManager.get('chunkSize'),
+            resultFormat: SettingsManager.get('resultFormat'),
+            control,
+            hmacKey,
+            outputLengths,
+            algorithmKeys,
+            onProgress: (progress) => {
+                // 任务在 Worker 中开始执行后才会报告进度，此前保持排队状态
+                BatchProgress.update(batch, file, progress.processed);
+                this.updateProgress();
+            }
+        }).then(result => {
+            result.path = this.getRelativePath(file);
+            results.set(file, result);
+            this.finishProgress(batch, file, result);
+        }, error => {
+            if (!HashCalculator.isAbortError(error)) {
+                BatchProgress.finish(batch, file, 'failed', error.message);
+                this.updateProgress(true);
+            }
+            throw error;
+        })));
+        
+        // 优先报告真正的错误，其次是取消
+        const failures = outcomes.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason);
+        const failure = failures.find(error => !HashCalculator.isAbortError(error)) || failures[0];
+        
+        if (failure) {
+            throw failure;
+        }
+    },
+    
+    /**
+     * 暂停或继续当前计算
+     */
+    togglePause() {
+        const control = this.calculationControl;
+        if (!control) return;
+        
+        if (control.paused) {
+            // 暂停的时间不计入速度和剩余时间的估算
+            if (this.batchProgress) {
+                BatchProgress.resume(this.batchProgress);
+            }
+            control.resume();
+            this.updatePauseButton(false);
+        } else {
+            if (this.batchProgress) {
+                BatchProgress.pause(this.batchProgress);
+            }
+            control.pause();
+            this.updatePauseButton(true);
+            document.getElementById('progress-time').textContent = '已暂停';
+        }
+    },
+    
+    /**
+     * 更新暂停按钮的图标和文字
+     * @param {boolean} paused - 是否处于暂停状态
+     */
+    updatePauseButton(paused) {
+        const pauseBtn = document.getElementById('pause-btn');
+        pauseBtn.innerHTML = paused
+            ? '<i data-lucide="play" class="w-4 h-4 mr-1"></i><span>继续</span>'
+            : '<i data-lucide="pause" class="w-4 h-4 mr-1"></i><span>暂停</span>';
+        lucide.createIcons();
+    },
+    
+    /**
+     * 取消当前计算
+     */
+    cancelCalculation() {
+        if (this.calculationControl) {
+            this.calculationControl.cancel();
         }
     },
     
     /**
-     * 更新进度条
-     * @param {Object} progress - 进度信息
-     * @param {number} totalSize - 文件总大小
+     * 文件计算完成后更新状态，任一算法计算失败时标记为失败
+     * @param {Object} batch - 文件所在计算的进度记录
+     * @param {File} file - 文件
+     * @param {Object} result - 计算结果
      */
-    updateProgress(progress, totalSize) {
-        const { processed, percentage } = progress;
+    finishProgress(batch, file, result) {
+        if (!batch) return;
         
-        // 更新进度条宽度
-        document.getElementById('progress-value').style.width = `${percentage}%`;
+        const failures = Object.values(result.hashValues).filter(hash => !/^[0-9a-fA-F]+$/.test(hash || ''));
         
-        // 更新百分比文本
-        document.getElementById('progress-percentage').textContent = `${percentage}%`;
+        BatchProgress.finish(batch, file, failures.length > 0 ? 'failed' : 'done', failures[0] || null);
+        this.updateProgress(true);
+    },
+    
+    /**
+     * 创建文件队列，每个文件一行，显示状态、进度和速度
+     */
+    createProgressQueue() {
+        const queue = document.getElementById('progress-queue');
+        queue.innerHTML = '';
         
-        // 更新大小信息
-        document.getElementById('progress-size').textContent = `${Utils.formatFileSize(processed)} / ${Utils.formatFileSize(totalSize)}`;
+        this.progressRows = this.batchProgress.items.map(item => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center gap-2 text-xs';
+            
+            const state = document.createElement('span');
+            state.className = 'w-14 flex-shrink-0 text-center px-1.5 py-0.5 rounded';
+            
+            const name = document.createElement('span');
+            name.className = 'flex-1 min-w-0 truncate font-mono';
+            name.textContent = item.path;
+            name.setAttribute('title', item.path);
+            
+            const bar = document.createElement('div');
+            bar.className = 'progress-bar w-20 flex-shrink-0 hidden sm:block';
+            const barValue = document.createElement('div');
+            barValue.className = 'progress-value';
+            bar.appendChild(barValue);
+            
+            const detail = document.createElement('span');
+            detail.className = 'w-44 flex-shrink-0 text-right text-gray-500 dark:text-gray-400 truncate';
+            
+            row.appendChild(state);
+            row.appendChild(name);
+            row.appendChild(bar);
+            row.appendChild(detail);
+            queue.appendChild(row);
+            
+            return { state, barValue, detail, rendered: null };
+        });
         
-        // 更新剩余时间
-        const startTime = this.calculationStartTime || Date.now();
-        this.calculationStartTime = startTime;
-        const remainingTime = Utils.calculateRemainingTime(processed, totalSize, startTime);
-        document.getElementById('progress-time').textContent = `剩余时间：${remainingTime}`;
+        this.updateProgress(true);
+    },
+    
+    /**
+     * 更新总进度和文件队列
+     * 进度回调非常频繁，除状态变化外每 100 毫秒最多刷新一次
+     * @param {boolean} immediate - 是否立即刷新
+     */
+    updateProgress(immediate = false) {
+        const batch = this.batchProgress;
+        if (!batch) return;
+        
+        const now = Date.now();
+        if (!immediate && now - this.progressRenderedAt < 100) return;
+        this.progressRenderedAt = now;
+        
+        const summary = BatchProgress.getSummary(batch);
+        const { counts } = summary;
+        
+        // 更新进度条宽度和百分比文本
+        document.getElementById('progress-value').style.width = `${summary.percentage}%`;
+        document.getElementById('progress-percentage').textContent = `${summary.percentage}%`;
+        
+        // 当前计算的文件
+        const hashing = batch.items.filter(item => item.state === 'hashing');
+        const finished = batch.items.length - counts.queued - counts.hashing;
+        document.getElementById('progress-file-name').textContent = hashing.length === 1
+            ? `${finished + 1} / ${batch.items.length}：${hashing[0].path}`
+            : hashing.length > 1
+                ? `正在并行计算 ${hashing.length} 个文件（已完成 ${finished} / ${batch.items.length}）`
+                : `已完成 ${finished} / ${batch.items.length} 个文件`;
+        
+        // 更新大小、速度和剩余时间
+        document.getElementById('progress-size').textContent = `${Utils.formatFileSize(summary.processed)} / ${Utils.formatFileSize(summary.total)}`;
+        document.getElementById('progress-speed').textContent = Utils.formatSpeed(summary.speed);
+        document.getElementById('progress-time').textContent = batch.pausedAt
+            ? '已暂停'
+            : `剩余时间：${Utils.formatRemainingTime(summary.remainingMs)}`;
+        
+        document.getElementById('progress-queue-summary').textContent = Object.keys(counts)
+            .filter(state => counts[state] > 0)
+            .map(state => `${BatchProgress.stateLabels[state]} ${counts[state]}`)
+            .join(' · ');
+        
+        this.renderProgressQueue();
+    },
+    
+    /**
+     * 刷新文件队列中状态或进度发生变化的行
+     */
+    renderProgressQueue() {
+        const stateClasses = {
+            queued: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300',
+            hashing: 'bg-primary/10 text-primary',
+            done: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300',
+            failed: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300',
+            cached: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300'
+        };
+        
+        this.batchProgress.items.forEach((item, index) => {
+            const row = this.progressRows[index];
+            const key = `${item.state}:${item.processed}`;
+            if (!row || row.rendered === key) return;
+            row.rendered = key;
+            
+            row.state.textContent = BatchProgress.stateLabels[item.state];
+            row.state.className = `w-14 flex-shrink-0 text-center px-1.5 py-0.5 rounded ${stateClasses[item.state]}`;
+            row.barValue.style.width = item.size > 0 ? `${Math.floor((item.processed / item.size) * 100)}%` : (item.state === 'queued' ? '0%' : '100%');
+            
+            const speed = item.state === 'hashing' || item.state === 'done' ? Utils.formatSpeed(BatchProgress.getItemSpeed(item)) : '';
+            row.detail.textContent = item.state === 'failed' && item.error
+                ? item.error
+                : [item.state === 'hashing' ? `${Utils.formatFileSize(item.processed)} / ${Utils.formatFileSize(item.size)}` : Utils.formatFileSize(item.size), speed]
+                    .filter(Boolean).join(' · ');
+            row.detail.setAttribute('title', row.detail.textContent);
+        });
     },
     
     /**
@@ -284,6 +832,11 @@ const FileHandler = {
         const resultsContainer = document.getElementById('results-container');
         resultsContainer.innerHTML = '';
         
+        // 目录树摘要显示在所有文件之前
+        if (this.treeDigest) {
+            resultsContainer.appendChild(this.createTreeDigestCard(this.treeDigest));
+        }
+        
         // 为每个文件创建结果卡片
         this.calculationResults.forEach((result, index) => {
             const card = document.createElement('div');
@@ -298,15 +851,25 @@ const FileHandler = {
             
             const fileIcon = document.createElement('i');
             fileIcon.className = 'w-5 h-5 mr-2 text-primary';
-            fileIcon.setAttribute('data-lucide', this.getFileIcon(this.selectedFiles[index].type));
+            fileIcon.setAttribute('data-lucide', this.getFileIcon(result.type || ''));
             
             const fileName = document.createElement('h3');
             fileName.className = 'font-medium truncate max-w-[200px] sm:max-w-[400px]';
-            fileName.textContent = result.filename;
+            fileName.textContent = result.path;
+            fileName.setAttribute('title', result.path);
             
             fileInfo.appendChild(fileIcon);
             fileInfo.appendChild(fileName);
             
+            // 标注使用了缓存的结果
+            if (result.cached) {
+                const cachedBadge = document.createElement('span');
+                cachedBadge.className = 'ml-2 px-1.5 py-0.5 text-xs rounded whitespace-nowrap bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300';
+                cachedBadge.textContent = '已缓存';
+                cachedBadge.setAttribute('title', '文件大小和修改时间与上次计算时相同，使用了缓存的哈希值');
+                fileInfo.appendChild(cachedBadge);
+            }
+            
             const fileSize = document.createElement('span');
             fileSize.className = 'text-sm text-gray-500';
             fileSize.textContent = Utils.formatFileSize(result.size);
@@ -319,48 +882,20 @@ const FileHandler = {
             hashList.className = 'space-y-3';
             
             Object.entries(result.hashValues).forEach(([algorithm, hash]) => {
-                const hashItem = document.createElement('div');
-                hashItem.className = 'flex flex-col sm:flex-row sm:items-center justify-between bg-gray-50 dark:bg-gray-800/50 p-3 rounded-lg';
-                
-                const algoName = document.createElement('span');
-                algoName.className = 'font-medium text-sm mb-1 sm:mb-0';
-                algoName.textContent = algorithm.toUpperCase();
-                
-                const hashValue = document.createElement('div');
-                hashValue.className = 'flex items-center';
-                
-                const hashText = document.createElement('code');
-                hashText.className = 'text-sm bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded font-mono overflow-x-auto max-w-full';
-                hashText.textContent = hash;
-                
-                const copyBtn = document.createElement('button');
-                copyBtn.className = 'ml-2 p-1.5 text-gray-500 hover:text-primary transition-colors';
-                copyBtn.setAttribute('title', '复制哈希值');
-                copyBtn.innerHTML = '<i data-lucide="copy" class="w-4 h-4"></i>';
-                copyBtn.addEventListener('click', () => {
-                    Utils.copyToClipboard(hash).then(success => {
-                        if (success) {
-                            UI.showNotification('复制成功', `已复制 ${algorithm.toUpperCase()} 哈希值`, 'success');
-                        } else {
-                            UI.showNotification('复制失败', '无法复制哈希值，请手动复制', 'error');
-                        }
-                    });
-                });
-                
-                hashValue.appendChild(hashText);
-                hashValue.appendChild(copyBtn);
-                
-                hashItem.appendChild(algoName);
-                hashItem.appendChild(hashValue);
-                hashList.appendChild(hashItem);
+                hashList.appendChild(this.createHashItem(algorithm, hash));
             });
             
+            // 压缩包内的文件
+            if (result.archive) {
+                hashList.appendChild(this.createArchiveEntryList(result.archive));
+            }
+            
             // 卡片底部
             const cardFooter = document.createElement('div');
             cardFooter.className = 'mt-4 text-xs text-gray-500 flex justify-between items-center';
             
             const duration = document.createElement('span');
-            duration.textContent = `计算时间: ${result.duration} ms`;
+            duration.textContent = result.cached ? '来自缓存，未读取文件' : `计算时间: ${result.duration} ms`;
             
             const timestamp = document.createElement('span');
             timestamp.textContent = Utils.formatTimestamp(Date.now());
@@ -382,6 +917,360 @@ const FileHandler = {
         lucide.createIcons();
     },
     
+    /**
+     * 创建显示单个算法哈希值的条目，包含复制按钮
+     * @param {string} algorithm - 算法名称
+     * @param {string} hash - 哈希值
+     * @returns {HTMLElement} 条目元素
+     */
+    createHashItem(algorithm, hash) {
+        const hashItem = document.createElement('div');
+        hashItem.className = 'flex flex-col sm:flex-row sm:items-center justify-between bg-gray-50 dark:bg-gray-800/50 p-3 rounded-lg';
+        
+        const algoName = document.createElement('span');
+        algoName.className = 'font-medium text-sm mb-1 sm:mb-0';
+        algoName.textContent = AlgorithmRegistry.getLabel(algorithm);
+
+        // 标注非加密校验和，提醒用户它不能用于防篡改校验
+        const info = AlgorithmRegistry.get(algorithm);
+        if (info && info.nonCryptographic) {
+            const badge = document.createElement('span');
+            badge.className = 'ml-2 px-1.5 py-0.5 text-xs font-normal rounded bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300';
+            badge.textContent = '非加密';
+            badge.setAttribute('title', '非加密校验和：只能检测意外损坏，不能防止有意篡改');
+            algoName.appendChild(badge);
+        }
+
+        const hashValue = document.createElement('div');
+        hashValue.className = 'flex items-center';
+        
+        const hashText = document.createElement('code');
+        hashText.className = 'text-sm bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded font-mono overflow-x-auto max-w-full';
+        hashText.textContent = hash;
+        
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'ml-2 p-1.5 text-gray-500 hover:text-primary transition-colors';
+        copyBtn.setAttribute('title', '复制哈希值');
+        copyBtn.innerHTML = '<i data-lucide="copy" class="w-4 h-4"></i>';
+        copyBtn.addEventListener('click', () => {
+            Utils.copyToClipboard(hash).then(success => {
+                if (success) {
+                    UI.showNotification('复制成功', `已复制 ${AlgorithmRegistry.getLabel(algorithm)} 哈希值`, 'success');
+                } else {
+                    UI.showNotification('复制失败', '无法复制哈希值，请手动复制', 'error');
+                }
+            });
+        });
+        
+        hashValue.appendChild(hashText);
+        hashValue.appendChild(copyBtn);
+        
+        hashItem.appendChild(algoName);
+        hashItem.appendChild(hashValue);
+        return hashItem;
+    },
+    
+    /**
+     * 创建压缩包内文件的列表，默认折叠
+     * @param {Object} archive - 压缩包结果 { type, entries, error }
+     * @returns {HTMLElement} 列表元素
+     */
+    createArchiveEntryList(archive) {
+        const details = document.createElement('details');
+        details.className = 'border border-gray-200 dark:border-gray-700 rounded-lg';
+        
+        const summary = document.createElement('summary');
+        summary.className = 'cursor-pointer select-none p-3 text-sm font-medium flex items-center';
+        summary.innerHTML = '<i data-lucide="archive" class="w-4 h-4 mr-2 text-primary"></i>';
+        
+        const summaryText = document.createElement('span');
+        summaryText.textContent = `压缩包内的文件（${archive.entries.length} 个）`;
+        summary.appendChild(summaryText);
+        
+        // ZIP 的 CRC32 校验结果（读取失败的文件不参与校验）
+        const checked = archive.entries.filter(entry => entry.crcCheck);
+        const crcMismatches = checked.filter(entry => entry.crcCheck === 'mismatch').length;
+        if (checked.length > 0) {
+            const badge = document.createElement('span');
+            badge.className = crcMismatches > 0
+                ? 'ml-2 px-1.5 py-0.5 text-xs font-normal rounded bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300'
+                : 'ml-2 px-1.5 py-0.5 text-xs font-normal rounded bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300';
+            badge.textContent = crcMismatches > 0 ? `${crcMismatches} 个文件 CRC32 不匹配` : `${checked.length} 个文件 CRC32 匹配`;
+            summary.appendChild(badge);
+        }
+        details.appendChild(summary);
+        
+        const list = document.createElement('div');
+        list.className = 'p-3 pt-0 space-y-4';
+        
+        if (archive.error) {
+            const error = document.createElement('p');
+            error.className = 'text-sm text-red-600 dark:text-red-400';
+            error.textContent = `无法读取压缩包：${archive.error}`;
+            list.appendChild(error);
+            details.open = true;
+        }
+        
+        archive.entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'space-y-2';
+            
+            const header = document.createElement('div');
+            header.className = 'flex justify-between items-center text-sm';
+            
+            const name = document.createElement('span');
+            name.className = 'font-mono truncate';
+            name.textContent = entry.path;
+            name.setAttribute('title', entry.path);
+            
+            const meta = document.createElement('span');
+            meta.className = 'flex items-center text-xs text-gray-500 whitespace-nowrap ml-2';
+            meta.textContent = Utils.formatFileSize(entry.size);
+            
+            if (entry.crcCheck) {
+                const crcBadge = document.createElement('span');
+                crcBadge.className = entry.crcCheck === 'ok'
+                    ? 'ml-2 px-1.5 py-0.5 rounded bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300'
+                    : 'ml-2 px-1.5 py-0.5 rounded bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300';
+                crcBadge.textContent = entry.crcCheck === 'ok' ? 'CRC32 匹配' : 'CRC32 不匹配';
+                crcBadge.setAttribute('title', `中央目录中的 CRC32：${entry.expectedCrc32}，计算结果：${entry.crc32}`);
+                meta.appendChild(crcBadge);
+            }
+            
+            header.appendChild(name);
+            header.appendChild(meta);
+            item.appendChild(header);
+            
+            if (entry.error) {
+                const error = document.createElement('p');
+                error.className = 'text-sm text-red-600 dark:text-red-400';
+                error.textContent = entry.error;
+                item.appendChild(error);
+            } else {
+                Object.entries(entry.hashValues).forEach(([algorithm, hash]) => {
+                    item.appendChild(this.createHashItem(algorithm, hash));
+                });
+            }
+            
+            list.appendChild(item);
+        });
+        
+        details.appendChild(list);
+        return details;
+    },
+    
+    /**
+     * 创建目录树摘要卡片
+     * @param {Object} treeDigest - 目录树摘要
+     * @returns {HTMLElement} 卡片元素
+     */
+    createTreeDigestCard(treeDigest) {
+        const card = document.createElement('div');
+        card.className = 'card result-card border-l-4 border-primary';
+        card.id = 'tree-digest-card';
+        
+        // 卡片头部
+        const cardHeader = document.createElement('div');
+        cardHeader.className = 'flex justify-between items-center mb-4';
+        
+        const title = document.createElement('div');
+        title.className = 'flex items-center';
+        
+        const icon = document.createElement('i');
+        icon.className = 'w-5 h-5 mr-2 text-primary';
+        icon.setAttribute('data-lucide', 'folder-tree');
+        
+        const titleText = document.createElement('h3');
+        titleText.className = 'font-medium truncate max-w-[200px] sm:max-w-[400px]';
+        titleText.textContent = treeDigest.root ? `目录树摘要：${treeDigest.root}` : '目录树摘要';
+        titleText.setAttribute('title', '由排序后的相对路径和各文件的哈希值计算的 Merkle 树根，文件夹名不参与计算');
+        
+        title.appendChild(icon);
+        title.appendChild(titleText);
+        
+        const fileCount = document.createElement('span');
+        fileCount.className = 'text-sm text-gray-500';
+        fileCount.textContent = `${treeDigest.fileCount} 个文件`;
+        
+        cardHeader.appendChild(title);
+        cardHeader.appendChild(fileCount);
+        
+        // 各算法的摘要
+        const digestList = document.createElement('div');
+        digestList.className = 'space-y-3';
+        
+        Object.entries(treeDigest.digests).forEach(([algorithm, digest]) => {
+            const digestItem = document.createElement('div');
+            digestItem.className = 'flex flex-col sm:flex-row sm:items-center justify-between bg-gray-50 dark:bg-gray-800/50 p-3 rounded-lg';
+            
+            const algoName = document.createElement('span');
+            algoName.className = 'font-medium text-sm mb-1 sm:mb-0';
+            algoName.textContent = AlgorithmRegistry.getLabel(algorithm);
+            
+            const digestValue = document.createElement('div');
+            digestValue.className = 'flex items-center';
+            
+            const digestText = document.createElement('code');
+            digestText.className = 'text-sm bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded font-mono overflow-x-auto max-w-full';
+            digestText.textContent = digest;
+            
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'ml-2 p-1.5 text-gray-500 hover:text-primary transition-colors';
+            copyBtn.setAttribute('title', '复制目录树摘要');
+            copyBtn.innerHTML = '<i data-lucide="copy" class="w-4 h-4"></i>';
+            copyBtn.addEventListener('click', () => {
+                Utils.copyToClipboard(digest).then(success => {
+                    if (success) {
+                        UI.showNotification('复制成功', `已复制 ${AlgorithmRegistry.getLabel(algorithm)} 目录树摘要`, 'success');
+                    } else {
+                        UI.showNotification('复制失败', '无法复制摘要，请手动复制', 'error');
+                    }
+                });
+            });
+            
+            digestValue.appendChild(digestText);
+            digestValue.appendChild(copyBtn);
+            
+            digestItem.appendChild(algoName);
+            digestItem.appendChild(digestValue);
+            digestList.appendChild(digestItem);
+        });
+        
+        // 卡片底部
+        const cardFooter = document.createElement('div');
+        cardFooter.className = 'mt-4 text-xs text-gray-500';
+        cardFooter.textContent = '两份文件夹的摘要相同，说明其中的文件路径和内容完全相同（非加密校验和与带密钥的算法不计算目录树摘要）';
+        
+        card.appendChild(cardHeader);
+        card.appendChild(digestList);
+        card.appendChild(cardFooter);
+        
+        return card;
+    },
+    
+    /**
+     * 计算单个文件的多个哈希值
+     * 启用后台线程时在 Worker 中计算，否则在主线程中计算
+     * @param {File} file - 要计算哈希的文件
+     * @param {Array<string>} algorithms - 哈希算法名称数组
+     * @param {Object} options - 传给 HashCalculator.calculateMultipleHashes 的选项
+     * @returns {Promise<Object>} 计算结果
+     */
+    async hashFile(file, algorithms, options = {}) {
+        const hashOptions = {
+            chunkSize: SettingsManager.get('chunkSize'),
+            resultFormat: SettingsManager.get('resultFormat'),
+            ...options
+        };
+        
+        const result = SettingsManager.get('useWorkers') && WorkerPool.isSupported()
+            ? await WorkerPool.run(file, algorithms, hashOptions)
+            : await HashCalculator.calculateMultipleHashes(file, algorithms, hashOptions);
+        
+        result.path = this.getRelativePath(file);
+        return result;
+    },
+    
+    /**
+     * 计算一批文件的哈希值
+     * 启用后台线程时交给 WorkerPool 排队（同时计算的文件数由设置决定），否则在主线程中逐个计算，
+     * 与正式计算一样不会同时读取大量文件。单个文件读取失败不影响其他文件
+     * @param {Array<Object>} jobs - 要计算的文件 { file, algorithms, outputLengths }
+     * @param {Object} options - 选项
+     * @param {Object} options.control - 计算控制对象，取消后抛出 AbortError
+     * @param {Function} options.onProgress - 每完成一个文件调用一次，参数为 { completed, total }
+     * @returns {Promise<Map<File, Object>>} 文件到哈希值的映射（小写十六进制），读取失败的文件各算法的值为“计算失败: 原因”
+     */
+    async hashFiles(jobs, options = {}) {
+        const { control = null, onProgress = null } = options;
+        const results = new Map();
+        let completed = 0;
+        
+        const hashJob = async ({ file, algorithms, outputLengths = {} }) => {
+            try {
+                const result = await this.hashFile(file, algorithms, { resultFormat: 'lowercase', outputLengths, control });
+                results.set(file, result.hashValues);
+            } catch (error) {
+                if (HashCalculator.isAbortError(error)) throw error;
+                
+                results.set(file, algorithms.reduce((hashValues, algorithm) => {
+                    hashValues[algorithm] = `计算失败: ${error.message}`;
+                    return hashValues;
+                }, {}));
+            }
+            
+            completed++;
+            if (onProgress) {
+                onProgress({ completed, total: jobs.length });
+            }
+        };
+        
+        if (SettingsManager.get('useWorkers') && WorkerPool.isSupported()) {
+            const outcomes = await Promise.allSettled(jobs.map(hashJob));
+            const failure = outcomes.find(outcome => outcome.status === 'rejected');
+            if (failure) {
+                throw failure.reason;
+            }
+        } else {
+            for (const job of jobs) {
+                if (control && control.cancelled) {
+                    throw HashCalculator.createAbortError();
+                }
+                await hashJob(job);
+            }
+        }
+        
+        return results;
+    },
+    
+    /**
+     * 按路径在选中的文件中查找对应的文件
+     * 路径规范化后先按完整的相对路径匹配，再去掉选中文件共同的根文件夹后匹配，
+     * 这样选择 release 文件夹后，清单中的 linux/app.tar.gz 对应 release/linux/app.tar.gz
+     * @param {Array<string>} paths - 要查找的路径（如校验清单中的路径）
+     * @param {Object} options - 选项
+     * @param {boolean} options.stripRoot - 要查找的路径也去掉共同的根文件夹，并且只按去掉根文件夹后的路径匹配
+     * @param {boolean} options.matchByName - 选中的文件都不在文件夹中时，允许按文件名匹配（文件名在两边都唯一时才匹配）
+     * @returns {Array<File|null>} 与 paths 一一对应的文件，找不到时为 null
+     */
+    matchSelectedFiles(paths, options = {}) {
+        const files = this.selectedFiles;
+        const selectedPaths = files.map(file => ChecksumManifest.normalizePath(this.getRelativePath(file)));
+        const strippedPaths = TreeDigest.stripCommonRoot(selectedPaths).paths;
+        const targets = options.stripRoot
+            ? TreeDigest.stripCommonRoot(paths).paths
+            : paths.map(path => ChecksumManifest.normalizePath(path));
+        
+        // 完整路径优先，已有的路径不会被去掉根文件夹后的路径覆盖
+        const byPath = new Map();
+        const candidates = options.stripRoot ? [strippedPaths] : [selectedPaths, strippedPaths];
+        candidates.forEach(list => list.forEach((path, index) => {
+            if (!byPath.has(path)) {
+                byPath.set(path, files[index]);
+            }
+        }));
+        
+        // 只有平铺选择的文件才按文件名匹配，同名的文件或路径不匹配，避免一个文件对应多个条目
+        const byName = new Map();
+        if (options.matchByName && selectedPaths.every(path => !path.includes('/'))) {
+            const countNames = list => list.reduce((counts, path) => {
+                const name = path.split('/').pop();
+                counts.set(name, (counts.get(name) || 0) + 1);
+                return counts;
+            }, new Map());
+            const selectedCounts = countNames(selectedPaths);
+            const targetCounts = countNames(Array.from(new Set(targets)));
+            
+            selectedPaths.forEach((path, index) => {
+                if (selectedCounts.get(path) === 1 && targetCounts.get(path) === 1) {
+                    byName.set(path, files[index]);
+                }
+            });
+        }
+        
+        return targets.map(path => byPath.get(path) || byName.get(path.split('/').pop()) || null);
+    },
+    
     /**
      * 获取选中的算法
      * @returns {Array<string>} 选中的算法数组
@@ -395,9 +1284,14 @@ const FileHandler = {
      * 清除选中的文件
      */
     clearFiles() {
+        // 取消正在进行的计算
+        this.cancelCalculation();
+        
         // 清空文件列表
         this.selectedFiles = [];
         this.calculationResults = [];
+        this.calculationInfo = null;
+        this.treeDigest = null;
         
         // 隐藏文件列表和结果区域
         document.getElementById('file-list').classList.add('hidden');
@@ -405,6 +1299,7 @@ const FileHandler = {
         
         // 重置文件输入
         document.getElementById('file-input').value = '';
+        document.getElementById('folder-input').value = '';
         
         // 禁用计算按钮
         document.getElementById('calculate-btn').disabled = true;
@@ -439,7 +1334,7 @@ const FileHandler = {
             
             const algoTitle = document.createElement('h3');
             algoTitle.className = 'font-medium text-primary mb-2';
-            algoTitle.textContent = `${algorithm.toUpperCase()} 比较结果`;
+            algoTitle.textContent = `${AlgorithmRegistry.getLabel(algorithm)} 比较结果`;
             
             // 检查是否有相同哈希值的文件组
             const hashGroups = {};
@@ -449,7 +1344,7 @@ const FileHandler = {
                 if (!hashGroups[hash]) {
                     hashGroups[hash] = [];
                 }
-                hashGroups[hash].push(result.filename);
+                hashGroups[hash].push(result.path);
             });
             
             // 创建比较结果列表
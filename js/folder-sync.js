@@ -0,0 +1,139 @@
+/**
+ * 文件夹同步对比模块
+ * 负责按相对路径匹配左右两个文件夹中的文件，找出相同、已修改、只在一侧存在
+ * 以及移动或改名（内容相同、路径不同）的文件
+ */
+
+// 文件夹同步对比对象
+const FolderSync = {
+    /**
+     * 把文件夹中的文件转换为对比条目
+     * 路径去掉所选文件夹本身的名称，因此名称不同的两个文件夹也能按路径匹配
+     * @param {Array<File>} files - 文件夹中的文件
+     * @param {Function} getPath - 获取文件相对路径的函数
+     * @returns {Object} { root: 文件夹名, entries: [{ path, size, file }] }
+     */
+    createEntries(files, getPath) {
+        const { root, paths } = TreeDigest.stripCommonRoot(files.map(file => getPath(file)));
+        const entries = files.map((file, index) => ({ path: paths[index], size: file.size, file }));
+
+        entries.sort((a, b) => a.path.localeCompare(b.path));
+
+        return { root, entries };
+    },
+
+    /**
+     * 按相对路径匹配两侧的条目
+     * @param {Array<Object>} left - 左侧条目
+     * @param {Array<Object>} right - 右侧条目
+     * @returns {Object} { pairs: [{ path, left, right }], onlyLeft: [条目], onlyRight: [条目] }
+     */
+    match(left, right) {
+        const rightByPath = new Map(right.map(entry => [entry.path, entry]));
+        const pairs = [];
+        const onlyLeft = [];
+
+        left.forEach(entry => {
+            const other = rightByPath.get(entry.path);
+            if (other) {
+                pairs.push({ path: entry.path, left: entry, right: other });
+                rightByPath.delete(entry.path);
+            } else {
+                onlyLeft.push(entry);
+            }
+        });
+
+        return { pairs, onlyLeft, onlyRight: Array.from(rightByPath.values()) };
+    },
+
+    /**
+     * 获取需要计算哈希值的文件
+     * 大小不同的文件内容一定不同，因此路径相同但大小不同的文件直接视为已修改；
+     * 只在一侧存在的文件只有在另一侧有同样大小的文件时才可能是移动或改名
+     * @param {Object} matched - match 的返回值
+     * @returns {Array<File>} 文件数组
+     */
+    getFilesToHash(matched) {
+        const files = [];
+        const leftSizes = new Set(matched.onlyLeft.map(entry => entry.size));
+        const rightSizes = new Set(matched.onlyRight.map(entry => entry.size));
+
+        matched.pairs.forEach(pair => {
+            if (pair.left.size === pair.right.size) {
+                files.push(pair.left.file, pair.right.file);
+            }
+        });
+        matched.onlyLeft.forEach(entry => {
+            if (rightSizes.has(entry.size)) files.push(entry.file);
+        });
+        matched.onlyRight.forEach(entry => {
+            if (leftSizes.has(entry.size)) files.push(entry.file);
+        });
+
+        return files;
+    },
+
+    /**
+     * 根据哈希值生成对比报告
+     * 只在一侧存在的文件按哈希值一一配对，配对成功的视为移动或改名
+     * @param {Object} matched - match 的返回值
+     * @param {Map<File, string>} hashes - 文件到哈希值的映射，计算失败时值为错误信息
+     * @returns {Array<Object>} 报告条目 { status, path, leftPath, rightPath, left, right, error }，
+     *   status 为 'identical' | 'modified' | 'moved' | 'only-left' | 'only-right' | 'failed'
+     */
+    compare(matched, hashes) {
+        const isHash = value => typeof value === 'string' && /^[0-9a-fA-F]+$/.test(value);
+        const items = [];
+
+        matched.pairs.forEach(pair => {
+            const item = { path: pair.path, leftPath: pair.path, rightPath: pair.path, left: pair.left, right: pair.right };
+
+            if (pair.left.size !== pair.right.size) {
+                item.status = 'modified';
+            } else {
+                const leftHash = hashes.get(pair.left.file);
+                const rightHash = hashes.get(pair.right.file);
+
+                if (!isHash(leftHash) || !isHash(rightHash)) {
+                    item.status = 'failed';
+                    item.error = isHash(leftHash) ? rightHash : leftHash;
+                } else {
+                    item.status = Utils.compareHashes(leftHash, rightHash) ? 'identical' : 'modified';
+                }
+            }
+
+            items.push(item);
+        });
+
+        // 右侧只有一份的文件按哈希值分组，依次与左侧内容相同的文件配对
+        const rightByHash = new Map();
+        const movedRight = new Set();
+        matched.onlyRight.forEach(entry => {
+            const hash = hashes.get(entry.file);
+            if (!isHash(hash)) return;
+
+            const key = hash.toLowerCase();
+            if (!rightByHash.has(key)) rightByHash.set(key, []);
+            rightByHash.get(key).push(entry);
+        });
+
+        matched.onlyLeft.forEach(entry => {
+            const hash = hashes.get(entry.file);
+            const candidates = isHash(hash) ? rightByHash.get(hash.toLowerCase()) : null;
+
+            if (candidates && candidates.length > 0) {
+                const other = candidates.shift();
+                movedRight.add(other);
+                items.push({ status: 'moved', path: entry.path, leftPath: entry.path, rightPath: other.path, left: entry, right: other });
+            } else {
+                items.push({ status: 'only-left', path: entry.path, leftPath: entry.path, rightPath: null, left: entry, right: null });
+            }
+        });
+
+        matched.onlyRight.filter(entry => !movedRight.has(entry)).forEach(entry => {
+            items.push({ status: 'only-right', path: entry.path, leftPath: null, rightPath: entry.path, left: null, right: entry });
+        });
+
+        return items;
+    }
+};
@@ -0,0 +1,127 @@
+/**
+ * 文件过滤模块
+ * 负责按 glob 规则（包含/排除）、隐藏文件和文件大小筛选要计算的文件
+ */
+
+// 文件过滤对象
+const GlobFilter = {
+    /**
+     * 把规则文本拆分为规则列表，规则之间用换行或逗号分隔（花括号内的逗号除外）
+     * @param {string} text - 规则文本
+     * @returns {Array<string>} 规则列表
+     */
+    parsePatterns(text) {
+        const patterns = [];
+        let current = '';
+        let depth = 0;
+
+        for (const char of String(text || '')) {
+            if (char === '{') depth++;
+            if (char === '}') depth = Math.max(0, depth - 1);
+
+            if ((char === ',' && depth === 0) || char === '\n' || char === '\r') {
+                patterns.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        patterns.push(current);
+
+        return patterns.map(pattern => pattern.trim()).filter(Boolean);
+    },
+
+    /**
+     * 把 glob 规则转换为正则表达式
+     * 支持 *、?、**、[abc]、[!abc] 和 {a,b}。规则以 / 开头时从路径开头匹配，
+     * 否则可以匹配路径中从任意一级目录开始的部分，因此 node_modules/** 也能匹配 project/node_modules/a.js
+     * @param {string} pattern - glob 规则
+     * @param {boolean} matchDirectories - 规则匹配到某个目录时是否也匹配其中的所有文件
+     * @returns {RegExp} 正则表达式
+     */
+    compile(pattern, matchDirectories = false) {
+        const anchored = pattern.startsWith('/');
+        const body = pattern.replace(/^\/+/, '').replace(/\/+$/, '');
+        let source = '';
+        let braceDepth = 0;
+
+        for (let i = 0; i < body.length; i++) {
+            const char = body[i];
+
+            if (char === '*') {
+                if (body[i + 1] === '*') {
+                    // ** 匹配任意层级的目录；**/ 也可以匹配零层目录
+                    i++;
+                    if (body[i + 1] === '/') {
+                        i++;
+                        source += '(?:.*/)?';
+                    } else {
+                        source += '.*';
+                    }
+                } else {
+                    source += '[^/]*';
+                }
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '[') {
+                const end = body.indexOf(']', i + 2);
+                if (end === -1) {
+                    source += '\\[';
+                } else {
+                    let content = body.slice(i + 1, end);
+                    const negated = content.startsWith('!') || content.startsWith('^');
+                    if (negated) content = content.substring(1);
+                    source += `[${negated ? '^/' : ''}${content.replace(/[\\\]]/g, '\\$&')}]`;
+                    i = end;
+                }
+            } else if (char === '{') {
+                braceDepth++;
+                source += '(?:';
+            } else if (char === '}' && braceDepth > 0) {
+                braceDepth--;
+                source += ')';
+            } else if (char === ',' && braceDepth > 0) {
+                source += '|';
+            } else {
+                source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+            }
+        }
+
+        // 花括号没有闭合时补全，避免生成无效的正则表达式
+        source += ')'.repeat(braceDepth);
+
+        return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}${matchDirectories ? '(?:/.*)?' : ''}$`);
+    },
+
+    /**
+     * 判断路径中是否有以 . 开头的文件或目录
+     * @param {string} path - 相对路径
+     * @returns {boolean} 是否为隐藏文件
+     */
+    isHidden(path) {
+        return path.split('/').some(segment => segment.startsWith('.') && segment !== '.' && segment !== '..');
+    },
+
+    /**
+     * 根据过滤设置创建匹配函数
+     * @param {Object} filter - 过滤设置 { include, exclude, excludeHidden, minSize, maxSize }
+     * @returns {Function} (path, size) => boolean，返回 true 表示保留该文件
+     */
+    createMatcher(filter) {
+        const includes = this.parsePatterns(filter.include).map(pattern => this.compile(pattern));
+        const excludes = this.parsePatterns(filter.exclude).map(pattern => this.compile(pattern, true));
+        const minSize = typeof filter.minSize === 'number' ? filter.minSize : null;
+        const maxSize = typeof filter.maxSize === 'number' ? filter.maxSize : null;
+
+        return (path, size) => {
+            const normalized = path.replace(/\\/g, '/');
+
+            if (filter.excludeHidden && this.isHidden(normalized)) return false;
+            if (minSize !== null && size < minSize) return false;
+            if (maxSize !== null && size > maxSize) return false;
+            if (includes.length > 0 && !includes.some(regex => regex.test(normalized))) return false;
+
+            return !excludes.some(regex => regex.test(normalized));
+        };
+    }
+};
@@ -0,0 +1,193 @@
+/**
+ * 哈希缓存模块
+ * 负责把文件的哈希值按相对路径保存到 IndexedDB 中（需要在设置中开启），
+ * 再次计算时文件大小和修改时间都没有变化的文件直接使用缓存的哈希值，不再读取文件
+ */
+
+// 哈希缓存对象
+const HashCache = {
+    // 数据库名称和版本
+    dbName: 'hashCalculatorCache',
+    dbVersion: 1,
+
+    // 保存文件哈希值的对象仓库，以相对路径为键
+    storeName: 'files',
+
+    // 打开数据库的 Promise，第一次使用时创建
+    dbPromise: null,
+
+    /**
+     * 检查浏览器是否支持 IndexedDB
+     * @returns {boolean} 是否支持
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * 打开数据库，第一次打开时创建对象仓库
+     * @returns {Promise<IDBDatabase>} 数据库
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'path' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('哈希缓存数据库被其他页面占用，请关闭其他标签页后重试'));
+            });
+
+            // 打开失败后允许下次重试
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    },
+
+    /**
+     * 在一个事务中操作对象仓库，事务完成后返回 operation 的返回值
+     * @param {string} mode - 事务模式 ('readonly' 或 'readwrite')
+     * @param {Function} operation - 接收对象仓库的函数
+     * @returns {Promise<*>} operation 的返回值
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const value = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(value);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('哈希缓存操作已取消'));
+        });
+    },
+
+    /**
+     * 获取缓存中区分算法和输出长度的键
+     * 可变长度算法的不同输出长度分别缓存，如 shake256:64
+     * @param {string} algorithm - 算法名称
+     * @param {Object} outputLengths - 可变长度算法的输出长度（字节）
+     * @returns {string} 缓存键
+     */
+    getVariant(algorithm, outputLengths = {}) {
+        const info = AlgorithmRegistry.get(algorithm);
+        if (!info || !info.variableLength) return algorithm;
+
+        return `${algorithm}:${outputLengths[algorithm] || info.digestLength}`;
+    },
+
+    /**
+     * 查找大小和修改时间都没有变化、且缓存了所有选中算法的文件
+     * 选中了需要密钥的算法时必须重新读取文件，不使用缓存
+     * @param {Array<File>} files - 要计算的文件
+     * @param {Array<string>} algorithms - 选中的算法
+     * @param {Object} options - 选项
+     * @param {Function} options.getPath - 获取文件相对路径的函数
+     * @param {Object} options.outputLengths - 可变长度算法的输出长度
+     * @param {Array<string>} options.keyedAlgorithms - 使用了密钥的算法
+     * @param {string} options.resultFormat - 结果格式 ('lowercase' 或 'uppercase')
+     * @returns {Promise<Map<File, Object>>} 文件到计算结果的映射，结果带有 cached: true
+     */
+    async findCachedResults(files, algorithms, options = {}) {
+        const { getPath, outputLengths = {}, keyedAlgorithms = [], resultFormat = 'lowercase' } = options;
+        const cached = new Map();
+
+        if (files.length === 0 || algorithms.some(algorithm => keyedAlgorithms.includes(algorithm))) {
+            return cached;
+        }
+
+        const records = await this.transaction('readonly', store => files.map(file => {
+            const request = store.get(getPath(file));
+            return () => request.result;
+        }));
+
+        files.forEach((file, index) => {
+            const record = records[index]();
+            if (!record || record.size !== file.size || record.lastModified !== file.lastModified) return;
+
+            const hashValues = {};
+            const durations = {};
+            const complete = algorithms.every(algorithm => {
+                const hash = record.hashes[this.getVariant(algorithm, outputLengths)];
+                hashValues[algorithm] = resultFormat === 'uppercase' ? hash && hash.toUpperCase() : hash;
+                durations[algorithm] = 0;
+                return Boolean(hash);
+            });
+            if (!complete) return;
+
+            cached.set(file, {
+                filename: file.name,
+                path: getPath(file),
+                size: file.size,
+                type: file.type,
+                lastModified: file.lastModified,
+                hashValues,
+                durations,
+                chunkSize: null,
+                duration: 0,
+                cached: true
+            });
+        });
+
+        return cached;
+    },
+
+    /**
+     * 把新计算的结果写入缓存
+     * 文件大小和修改时间没有变化时与已缓存的其他算法合并，否则替换旧的记录；
+     * 计算失败的算法和使用了密钥的算法不写入缓存
+     * @param {Array<Object>} results - 计算结果
+     * @param {Object} options - 选项
+     * @param {Object} options.outputLengths - 可变长度算法的输出长度
+     * @param {Array<string>} options.keyedAlgorithms - 使用了密钥的算法
+     * @returns {Promise<void>}
+     */
+    async storeResults(results, options = {}) {
+        const { outputLengths = {}, keyedAlgorithms = [] } = options;
+
+        await this.transaction('readwrite', store => {
+            results.forEach(result => {
+                const hashes = {};
+                Object.entries(result.hashValues).forEach(([algorithm, hash]) => {
+                    const info = AlgorithmRegistry.get(algorithm);
+                    if (!info || info.keyed || keyedAlgorithms.includes(algorithm)) return;
+                    if (typeof hash !== 'string' || !/^[0-9a-fA-F]+$/.test(hash)) return;
+
+                    hashes[this.getVariant(algorithm, outputLengths)] = hash.toLowerCase();
+                });
+                if (Object.keys(hashes).length === 0) return;
+
+                const request = store.get(result.path);
+                request.onsuccess = () => {
+                    const existing = request.result;
+                    const unchanged = existing && existing.size === result.size && existing.lastModified === result.lastModified;
+
+                    store.put({
+                        path: result.path,
+                        size: result.size,
+                        lastModified: result.lastModified,
+                        hashes: unchanged ? { ...existing.hashes, ...hashes } : hashes,
+                        updatedAt: Date.now()
+                    });
+                };
+            });
+        });
+    },
+
+    /**
+     * 删除所有缓存
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.transaction('readwrite', store => {
+            store.clear();
+        });
+    }
+};
@@ -3,6 +3,150 @@
  * 负责处理各种哈希算法的计算
  */
 
+// SHA-256 轮常量（前64个质数立方根小数部分的前32位）
+const SHA256_K = new Uint32Array([
+    0x428A2F98, 0x71374491, 0xB5C0FBCF, 0xE9B5DBA5, 0x3956C25B, 0x59F111F1, 0x923F82A4, 0xAB1C5ED5,
+    0xD807AA98, 0x12835B01, 0x243185BE, 0x550C7DC3, 0x72BE5D74, 0x80DEB1FE, 0x9BDC06A7, 0xC19BF174,
+    0xE49B69C1, 0xEFBE4786, 0x0FC19DC6, 0x240CA1CC, 0x2DE92C6F, 0x4A7484AA, 0x5CB0A9DC, 0x76F988DA,
+    0x983E5152, 0xA831C66D, 0xB00327C8, 0xBF597FC7, 0xC6E00BF3, 0xD5A79147, 0x06CA6351, 0x14292967,
+    0x27B70A85, 0x2E1B2138, 0x4D2C6DFC, 0x53380D13, 0x650A7354, 0x766A0ABB, 0x81C2C92E, 0x92722C85,
+    0xA2BFE8A1, 0xA81A664B, 0xC24B8B70, 0xC76C51A3, 0xD192E819, 0xD6990624, 0xF40E3585, 0x106AA070,
+    0x19A4C116, 0x1E376C08, 0x2748774C, 0x34B0BCB5, 0x391C0CB3, 0x4ED8AA4A, 0x5B9CCA4F, 0x682E6FF3,
+    0x748F82EE, 0x78A5636F, 0x84C87814, 0x8CC70208, 0x90BEFFFA, 0xA4506CEB, 0xBEF9A3F7, 0xC67178F2
+]);
+
+// SHA-512 轮常量（64位常量按高32位、低32位交替存放）
+const SHA512_K = new Uint32Array([
+    0x428A2F98, 0xD728AE22, 0x71374491, 0x23EF65CD, 0xB5C0FBCF, 0xEC4D3B2F, 0xE9B5DBA5, 0x8189DBBC,
+    0x3956C25B, 0xF348B538, 0x59F111F1, 0xB605D019, 0x923F82A4, 0xAF194F9B, 0xAB1C5ED5, 0xDA6D8118,
+    0xD807AA98, 0xA3030242, 0x12835B01, 0x45706FBE, 0x243185BE, 0x4EE4B28C, 0x550C7DC3, 0xD5FFB4E2,
+    0x72BE5D74, 0xF27B896F, 0x80DEB1FE, 0x3B1696B1, 0x9BDC06A7, 0x25C71235, 0xC19BF174, 0xCF692694,
+    0xE49B69C1, 0x9EF14AD2, 0xEFBE4786, 0x384F25E3, 0x0FC19DC6, 0x8B8CD5B5, 0x240CA1CC, 0x77AC9C65,
+    0x2DE92C6F, 0x592B0275, 0x4A7484AA, 0x6EA6E483, 0x5CB0A9DC, 0xBD41FBD4, 0x76F988DA, 0x831153B5,
+    0x983E5152, 0xEE66DFAB, 0xA831C66D, 0x2DB43210, 0xB00327C8, 0x98FB213F, 0xBF597FC7, 0xBEEF0EE4,
+    0xC6E00BF3, 0x3DA88FC2, 0xD5A79147, 0x930AA725, 0x06CA6351, 0xE003826F, 0x14292967, 0x0A0E6E70,
+    0x27B70A85, 0x46D22FFC, 0x2E1B2138, 0x5C26C926, 0x4D2C6DFC, 0x5AC42AED, 0x53380D13, 0x9D95B3DF,
+    0x650A7354, 0x8BAF63DE, 0x766A0ABB, 0x3C77B2A8, 0x81C2C92E, 0x47EDAEE6, 0x92722C85, 0x1482353B,
+    0xA2BFE8A1, 0x4CF10364, 0xA81A664B, 0xBC423001, 0xC24B8B70, 0xD0F89791, 0xC76C51A3, 0x0654BE30,
+    0xD192E819, 0xD6EF5218, 0xD6990624, 0x5565A910, 0xF40E3585, 0x5771202A, 0x106AA070, 0x32BBD1B8,
+    0x19A4C116, 0xB8D2D0C8, 0x1E376C08, 0x5141AB53, 0x2748774C, 0xDF8EEB99, 0x34B0BCB5, 0xE19B48A8,
+    0x391C0CB3, 0xC5C95A63, 0x4ED8AA4A, 0xE3418ACB, 0x5B9CCA4F, 0x7763E373, 0x682E6FF3, 0xD6B2B8A3,
+    0x748F82EE, 0x5DEFB2FC, 0x78A5636F, 0x43172F60, 0x84C87814, 0xA1F0AB72, 0x8CC70208, 0x1A6439EC,
+    0x90BEFFFA, 0x23631E28, 0xA4506CEB, 0xDE82BDE9, 0xBEF9A3F7, 0xB2C67915, 0xC67178F2, 0xE372532B,
+    0xCA273ECE, 0xEA26619C, 0xD186B8C7, 0x21C0C207, 0xEADA7DD6, 0xCDE0EB1E, 0xF57D4F7F, 0xEE6ED178,
+    0x06F067AA, 0x72176FBA, 0x0A637DC5, 0xA2C898A6, 0x113F9804, 0xBEF90DAE, 0x1B710B35, 0x131C471B,
+    0x28DB77F5, 0x23047D84, 0x32CAAB7B, 0x40C72493, 0x3C9EBE0A, 0x15C9BEBC, 0x431D67C4, 0x9C100D4C,
+    0x4CC5D4BE, 0xCB3E42B6, 0x597F299C, 0xFC657E2A, 0x5FCB6FAB, 0x3AD6FAEC, 0x6C44198C, 0x4A475817
+]);
+
+// SHA-2 系列各算法的初始哈希值（SHA-384、SHA-512、SHA-512/256 的64位值按高32位、低32位交替存放）
+const SHA2_IV = {
+    'sha224': [
+        0xC1059ED8, 0x367CD507, 0x3070DD17, 0xF70E5939, 0xFFC00B31, 0x68581511, 0x64F98FA7, 0xBEFA4FA4
+    ],
+    'sha256': [
+        0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A, 0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19
+    ],
+    'sha384': [
+        0xCBBB9D5D, 0xC1059ED8, 0x629A292A, 0x367CD507, 0x9159015A, 0x3070DD17, 0x152FECD8, 0xF70E5939,
+        0x67332667, 0xFFC00B31, 0x8EB44A87, 0x68581511, 0xDB0C2E0D, 0x64F98FA7, 0x47B5481D, 0xBEFA4FA4
+    ],
+    'sha512': [
+        0x6A09E667, 0xF3BCC908, 0xBB67AE85, 0x84CAA73B, 0x3C6EF372, 0xFE94F82B, 0xA54FF53A, 0x5F1D36F1,
+        0x510E527F, 0xADE682D1, 0x9B05688C, 0x2B3E6C1F, 0x1F83D9AB, 0xFB41BD6B, 0x5BE0CD19, 0x137E2179
+    ],
+    'sha512-256': [
+        0x22312194, 0xFC2BF72C, 0x9F555FA3, 0xC84C64C2, 0x2393B86B, 0x6F53B151, 0x96387719, 0x5940EABD,
+        0x96283EE2, 0xA88EFFE3, 0xBE5E1E25, 0x53863992, 0x2B0199FC, 0x2C85B8AA, 0x0EB72DDC, 0x81C52CA2
+    ]
+};
+
+// Keccak-f[1600] 轮常量（64位常量按高32位、低32位交替存放）
+const KECCAK_RC = new Uint32Array([
+    0x00000000, 0x00000001, 0x00000000, 0x00008082, 0x80000000, 0x0000808A, 0x80000000, 0x80008000,
+    0x00000000, 0x0000808B, 0x00000000, 0x80000001, 0x80000000, 0x80008081, 0x80000000, 0x00008009,
+    0x00000000, 0x0000008A, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000A,
+    0x00000000, 0x8000808B, 0x80000000, 0x0000008B, 0x80000000, 0x00008089, 0x80000000, 0x00008003,
+    0x80000000, 0x00008002, 0x80000000, 0x00000080, 0x00000000, 0x0000800A, 0x80000000, 0x8000000A,
+    0x80000000, 0x80008081, 0x80000000, 0x00008080, 0x00000000, 0x80000001, 0x80000000, 0x80008008
+]);
+
+// Keccak ρ 步骤中每个lane的循环左移位数（按 x + 5y 索引）
+const KECCAK_ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+
+// Keccak π 步骤中每个lane移动到的位置（按 x + 5y 索引，值为状态数组中的下标）
+const KECCAK_PI = [
+    0, 20, 40, 10, 30,
+    32, 2, 22, 42, 12,
+    14, 34, 4, 24, 44,
+    46, 16, 36, 6, 26,
+    28, 48, 18, 38, 8
+];
+
+// BLAKE2 每轮的消息字顺序（BLAKE2b的第11、12轮重复使用前两行）
+const BLAKE2_SIGMA = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+    [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+    [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+    [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+    [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+    [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+    [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+    [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+    [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+];
+
+// BLAKE3 每轮的消息字顺序（每轮对上一轮的顺序做一次固定置换）
+const BLAKE3_SCHEDULE = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8],
+    [3, 4, 10, 12, 13, 2, 7, 14, 6, 5, 9, 0, 11, 15, 8, 1],
+    [10, 7, 12, 9, 14, 3, 13, 15, 4, 0, 11, 2, 5, 8, 1, 6],
+    [12, 13, 9, 11, 15, 10, 14, 8, 7, 2, 5, 3, 0, 1, 6, 4],
+    [9, 14, 11, 5, 8, 12, 15, 1, 13, 3, 0, 10, 2, 6, 4, 7],
+    [11, 15, 5, 0, 1, 9, 8, 6, 14, 10, 2, 12, 3, 4, 7, 13]
+];
+
+// BLAKE3 压缩函数的域标志
+const BLAKE3_CHUNK_START = 1;
+const BLAKE3_CHUNK_END = 2;
+const BLAKE3_PARENT = 4;
+const BLAKE3_ROOT = 8;
+const BLAKE3_KEYED_HASH = 16;
+
+// xxHash 使用的质数（BigInt 用于收尾运算，热循环中拆成低32位、高32位使用）
+const XXH_PRIME32_1 = 0x9E3779B1;
+const XXH_PRIME32_2 = 0x85EBCA77;
+const XXH_PRIME32_3 = 0xC2B2AE3D;
+const XXH_PRIME64_1 = 0x9E3779B185EBCA87n;
+const XXH_PRIME64_2 = 0xC2B2AE3D27D4EB4Fn;
+const XXH_PRIME64_3 = 0x165667B19E3779F9n;
+const XXH_PRIME64_4 = 0x85EBCA77C2B2AE63n;
+const XXH_PRIME64_5 = 0x27D4EB2F165667C5n;
+
+// XXH3 默认密钥（192字节）
+const XXH3_SECRET = new Uint8Array([
+    0xB8, 0xFE, 0x6C, 0x39, 0x23, 0xA4, 0x4B, 0xBE, 0x7C, 0x01, 0x81, 0x2C, 0xF7, 0x21, 0xAD, 0x1C,
+    0xDE, 0xD4, 0x6D, 0xE9, 0x83, 0x90, 0x97, 0xDB, 0x72, 0x40, 0xA4, 0xA4, 0xB7, 0xB3, 0x67, 0x1F,
+    0xCB, 0x79, 0xE6, 0x4E, 0xCC, 0xC0, 0xE5, 0x78, 0x82, 0x5A, 0xD0, 0x7D, 0xCC, 0xFF, 0x72, 0x21,
+    0xB8, 0x08, 0x46, 0x74, 0xF7, 0x43, 0x24, 0x8E, 0xE0, 0x35, 0x90, 0xE6, 0x81, 0x3A, 0x26, 0x4C,
+    0x3C, 0x28, 0x52, 0xBB, 0x91, 0xC3, 0x00, 0xCB, 0x88, 0xD0, 0x65, 0x8B, 0x1B, 0x53, 0x2E, 0xA3,
+    0x71, 0x64, 0x48, 0x97, 0xA2, 0x0D, 0xF9, 0x4E, 0x38, 0x19, 0xEF, 0x46, 0xA9, 0xDE, 0xAC, 0xD8,
+    0xA8, 0xFA, 0x76, 0x3F, 0xE3, 0x9C, 0x34, 0x3F, 0xF9, 0xDC, 0xBB, 0xC7, 0xC7, 0x0B, 0x4F, 0x1D,
+    0x8A, 0x51, 0xE0, 0x4B, 0xCD, 0xB4, 0x59, 0x31, 0xC8, 0x9F, 0x7E, 0xC9, 0xD9, 0x78, 0x73, 0x64,
+    0xEA, 0xC5, 0xAC, 0x83, 0x34, 0xD3, 0xEB, 0xC3, 0xC5, 0x81, 0xA0, 0xFF, 0xFA, 0x13, 0x63, 0xEB,
+    0x17, 0x0D, 0xDD, 0x51, 0xB7, 0xF0, 0xDA, 0x49, 0xD3, 0x16, 0x55, 0x26, 0x29, 0xD4, 0x68, 0x9E,
+    0x2B, 0x16, 0xBE, 0x58, 0x7D, 0x47, 0xA1, 0xFC, 0x8F, 0xF8, 0xB8, 0xD1, 0x7A, 0xD0, 0x31, 0xCE,
+    0x45, 0xCB, 0x3A, 0x8F, 0x95, 0x16, 0x04, 0x28, 0xAF, 0xD7, 0xFB, 0xCA, 0xBB, 0x4B, 0x40, 0x7E
+]);
+
 // 哈希计算器对象
 const HashCalculator = {
     /**
@@ -30,6 +174,94 @@ const HashCalculator = {
         return format === 'uppercase' ? hex.toUpperCase() : hex;
     },
 
+    /**
+     * 创建计算控制对象
+     * 用于在计算过程中暂停、继续或取消分块读取
+     * @returns {Object} 控制对象
+     */
+    createCalculationControl() {
+        const listeners = [];
+        let resumeWaiters = [];
+        
+        const notify = (type) => {
+            listeners.slice().forEach(listener => listener(type));
+        };
+        
+        const wakeUp = () => {
+            resumeWaiters.forEach(resolve => resolve());
+            resumeWaiters = [];
+        };
+        
+        return {
+            cancelled: false,
+            paused: false,
+            
+            // 取消计算
+            cancel() {
+                if (this.cancelled) return;
+                this.cancelled = true;
+                this.paused = false;
+                wakeUp();
+                notify('cancel');
+            },
+            
+            // 暂停计算（当前块处理完后停止读取）
+            pause() {
+                if (this.cancelled || this.paused) return;
+                this.paused = true;
+                notify('pause');
+            },
+            
+            // 继续计算
+            resume() {
+                if (!this.paused) return;
+                this.paused = false;
+                wakeUp();
+                notify('resume');
+            },
+            
+            /**
+             * 监听状态变化
+             * @param {Function} listener - 回调函数，参数为 'cancel'、'pause' 或 'resume'
+             * @returns {Function} 取消监听的函数
+             */
+            onChange(listener) {
+                listeners.push(listener);
+                return () => {
+                    const index = listeners.indexOf(listener);
+                    if (index !== -1) {
+                        listeners.splice(index, 1);
+                    }
+                };
+            },
+            
+            // 暂停期间等待继续或取消
+            waitIfPaused() {
+                if (!this.paused) return Promise.resolve();
+                return new Promise(resolve => resumeWaiters.push(resolve));
+            }
+        };
+    },
+
+    /**
+     * 创建表示计算已取消的错误
+     * @returns {Error} 错误对象
+     */
+    createAbortError() {
+        const error = new Error('计算已取消');
+        error.name = 'AbortError';
+        return error;
+    },
+
+    /**
+     * 判断错误是否由取消计算引起
+     * @param {Error} error - 错误对象
+     * @returns {boolean} 是否为取消错误
+     */
+    isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    },
+
     /**
      * 计算文件的哈希值
      * @param {File} file - 要计算哈希的文件
@@ -40,427 +272,2092 @@ const HashCalculator = {
     async calculateHash(file, algorithm, options = {}) {
         const { 
             chunkSize = SettingsManager.get('chunkSize'),
+            resultFormat = SettingsManager.get('resultFormat'),
             onProgress = null,
-            hmacKey = null
+            hmacKey = null,
+            outputLengths = {},
+            algorithmKeys = {},
+            control = null
         } = options;
 
-        return new Promise(async (resolve, reject) => {
-            try {
-                // 检查算法是否支持
-                if (!this.isAlgorithmSupported(algorithm)) {
-                    reject(new Error(`不支持的算法: ${algorithm}`));
-                    return;
-                }
-
-                const startTime = Date.now();
-                let processedBytes = 0;
-                const reader = new FileReader();
-                
-                // 处理HMAC算法
-                if (algorithm.startsWith('hmac-')) {
-                    const hashAlgo = algorithm.substring(5); // 提取HMAC后的哈希算法
-                    const result = await this.calculateHMAC(file, hashAlgo, hmacKey, {
-                        chunkSize,
-                        onProgress: (progress) => {
-                            if (onProgress) {
-                                onProgress(progress);
-                            }
-                        }
-                    });
-                    resolve(result);
-                    return;
-                }
-
-                // 创建哈希对象
-                const hashBuffer = await this.createHashInstance(algorithm);
-                
-                // 处理小文件（直接读取整个文件）
-                if (file.size <= chunkSize) {
-                    reader.onload = async (e) => {
-                        try {
-                            const arrayBuffer = e.target.result;
-                            await this.updateHash(hashBuffer, arrayBuffer);
-                            const hash = await this.finalizeHash(hashBuffer);
-                            
-                            if (onProgress) {
-                                onProgress({
-                                    processed: file.size,
-                                    total: file.size,
-                                    percentage: 100
-                                });
-                            }
-                            
-                            resolve({
-                                algorithm,
-                                hash: this.bufferToHex(hash, SettingsManager.get('resultFormat')),
-                                duration: Date.now() - startTime
-                            });
-                        } catch (error) {
-                            reject(error);
-                        }
-                    };
-                    
-                    reader.onerror = () => {
-                        reject(new Error('文件读取失败'));
-                    };
-                    
-                    reader.readAsArrayBuffer(file);
-                    return;
-                }
+        // 检查算法是否支持
+        if (!this.isAlgorithmSupported(algorithm)) {
+            throw new Error(`不支持的算法: ${algorithm}`);
+        }
 
-                // 处理大文件（分块读取）
-                let offset = 0;
-                
-                const processChunk = async () => {
-                    const chunk = file.slice(offset, offset + chunkSize);
-                    
-                    reader.onload = async (e) => {
-                        try {
-                            const arrayBuffer = e.target.result;
-                            await this.updateHash(hashBuffer, arrayBuffer);
-                            
-                            processedBytes += arrayBuffer.byteLength;
-                            offset += arrayBuffer.byteLength;
-                            
-                            // 计算进度
-                            const percentage = Math.round((processedBytes / file.size) * 100);
-                            
-                            if (onProgress) {
-                                onProgress({
-                                    processed: processedBytes,
-                                    total: file.size,
-                                    percentage
-                                });
-                            }
-                            
-                            // 处理下一个块或完成
-                            if (offset < file.size) {
-                                processChunk();
-                            } else {
-                                const hash = await this.finalizeHash(hashBuffer);
-                                
-                                resolve({
-                                    algorithm,
-                                    hash: this.bufferToHex(hash, SettingsManager.get('resultFormat')),
-                                    duration: Date.now() - startTime
-                                });
-                            }
-                        } catch (error) {
-                            reject(error);
-                        }
-                    };
-                    
-                    reader.onerror = () => {
-                        reject(new Error('文件读取失败'));
-                    };
-                    
-                    reader.readAsArrayBuffer(chunk);
-                };
-                
-                // 开始处理第一个块
-                processChunk();
-            } catch (error) {
-                reject(error);
-            }
+        const startTime = Date.now();
+        const hashObj = await this.createHashInstance(algorithm, {
+            hmacKey,
+            outputLength: outputLengths[algorithm],
+            key: algorithmKeys[algorithm]
         });
+        
+        await this.readFileInChunks(file, {
+            chunkSize,
+            onProgress,
+            control,
+            onChunk: (data) => this.updateHash(hashObj, data)
+        });
+        
+        const hash = await this.finalizeHash(hashObj);
+        
+        return {
+            algorithm,
+            hash: this.bufferToHex(hash, resultFormat),
+            duration: Date.now() - startTime
+        };
     },
 
     /**
      * 同时计算多个哈希算法
+     * 文件只读取一遍，每个数据块依次送入所有选中算法的哈希状态
      * @param {File} file - 要计算哈希的文件
      * @param {Array<string>} algorithms - 哈希算法名称数组
      * @param {Object} options - 选项
-     * @returns {Promise<Object>} 包含所有算法计算结果的对象
+     * @returns {Promise<Object>} 包含所有算法计算结果的对象，durations 为每个算法各自的计算耗时（毫秒）
      */
     async calculateMultipleHashes(file, algorithms, options = {}) {
-        const results = {};
-        const startTime = Date.now();
+        const {
+            chunkSize = SettingsManager.get('chunkSize'),
+            onProgress = null,
+            control = null
+        } = options;
         
-        // 计算每个算法的哈希值
-        for (const algorithm of algorithms) {
-            try {
-                const result = await this.calculateHash(file, algorithm, {
-                    ...options,
-                    onProgress: (progress) => {
-                        // 只使用第一个算法的进度回调
-                        if (algorithm === algorithms[0] && options.onProgress) {
-                            options.onProgress(progress);
-                        }
-                    }
-                });
-                
-                results[algorithm] = result.hash;
-            } catch (error) {
-                console.error(`计算 ${algorithm} 哈希失败:`, error);
-                results[algorithm] = `计算失败: ${error.message}`;
-            }
-        }
+        const startTime = Date.now();
+        const { hashValues, durations } = await this.hashChunks(algorithms, (onChunk) => this.readFileInChunks(file, {
+            chunkSize,
+            onProgress,
+            control,
+            onChunk
+        }), options);
         
         return {
             filename: file.name,
+            path: file.webkitRelativePath || file.name,
             size: file.size,
-            hashValues: results,
+            type: file.type,
+            lastModified: file.lastModified,
+            hashValues,
+            durations,
+            chunkSize,
             duration: Date.now() - startTime
         };
     },
 
     /**
-     * 创建哈希实例
-     * @param {string} algorithm - 哈希算法名称
-     * @returns {Promise<Object>} 哈希对象
+     * 下载并计算网址内容的哈希值
+     * 响应体通过 ReadableStream 边下载边计算，不会把整个文件保存在内存中
+     * @param {string} url - 网址
+     * @param {Array<string>} algorithms - 哈希算法名称数组
+     * @param {Object} options - 选项（与 calculateMultipleHashes 相同，chunkSize 除外）
+     * @returns {Promise<Object>} 与 calculateMultipleHashes 相同的结果对象，path 和 url 为网址
      */
-    async createHashInstance(algorithm) {
-        if (!this.isCryptoSupported()) {
-            // 如果浏览器不支持Web Crypto API，使用JS实现
-            return this.createJsHashInstance(algorithm);
-        }
-
-        // 映射算法名称到Web Crypto API名称
-        const cryptoAlgoMap = {
-            'sha1': 'SHA-1',
-            'sha256': 'SHA-256',
-            'sha512': 'SHA-512'
-        };
-
-        const cryptoAlgo = cryptoAlgoMap[algorithm];
+    async calculateUrlHashes(url, algorithms, options = {}) {
+        const { onProgress = null, control = null } = options;
         
-        if (cryptoAlgo) {
-            return {
-                algorithm: cryptoAlgo,
-                type: 'crypto',
-                buffer: null
-            };
-        } else {
-            // 对于不支持的算法（如MD5），使用JS实现
-            return this.createJsHashInstance(algorithm);
-        }
-    },
-
-    /**
-     * 使用JavaScript实现创建哈希实例
-     * @param {string} algorithm - 哈希算法名称
-     * @returns {Object} 哈希对象
-     */
-    createJsHashInstance(algorithm) {
-        // 这里只实现MD5，其他算法可以根据需要添加
-        if (algorithm === 'md5') {
-            return {
-                algorithm: 'MD5',
-                type: 'js',
-                state: this.md5Init()
-            };
-        }
+        // 取消计算时中止下载
+        const abortController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const unsubscribe = control && abortController
+            ? control.onChange((type) => {
+                if (type === 'cancel') {
+                    abortController.abort();
+                }
+            })
+            : () => {};
         
-        throw new Error(`不支持的算法: ${algorithm}`);
-    },
-
-    /**
-     * 更新哈希对象
-     * @param {Object} hashObj - 哈希对象
-     * @param {ArrayBuffer} data - 要添加的数据
-     * @returns {Promise<void>}
-     */
-    async updateHash(hashObj, data) {
-        if (hashObj.type === 'crypto') {
-            // 使用Web Crypto API
-            if (!hashObj.buffer) {
-                hashObj.buffer = data;
-            } else {
-                // 合并ArrayBuffer
-                const newBuffer = new Uint8Array(hashObj.buffer.byteLength + data.byteLength);
-                newBuffer.set(new Uint8Array(hashObj.buffer));
-                newBuffer.set(new Uint8Array(data), hashObj.buffer.byteLength);
-                hashObj.buffer = newBuffer.buffer;
+        try {
+            const startTime = Date.now();
+            let response;
+            try {
+                response = await fetch(url, {
+                    cache: 'no-store',
+                    signal: abortController ? abortController.signal : undefined
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw this.createAbortError();
+                }
+                // 跨域请求被拒绝和网络错误在浏览器中都表现为 TypeError，无法进一步区分
+                throw new Error('无法下载该网址。可能是网络错误，或服务器不允许跨域访问（缺少 Access-Control-Allow-Origin 响应头），请下载文件后再计算');
             }
-        } else if (hashObj.type === 'js') {
-            // 使用JavaScript实现
-            if (hashObj.algorithm === 'MD5') {
-                hashObj.state = this.md5Update(hashObj.state, new Uint8Array(data));
+            
+            if (!response.ok) {
+                throw new Error(`服务器返回错误：${response.status} ${response.statusText}`.trim());
             }
-        }
-    },
-
-    /**
-     * 完成哈希计算
-     * @param {Object} hashObj - 哈希对象
-     * @returns {Promise<ArrayBuffer>} 哈希结果
-     */
-    async finalizeHash(hashObj) {
-        if (hashObj.type === 'crypto') {
-            // 使用Web Crypto API
-            const hashBuffer = await crypto.subtle.digest(hashObj.algorithm, hashObj.buffer);
-            return hashBuffer;
-        } else if (hashObj.type === 'js') {
-            // 使用JavaScript实现
-            if (hashObj.algorithm === 'MD5') {
-                const hashBytes = this.md5Final(hashObj.state);
-                return hashBytes.buffer;
+            if (!response.body) {
+                throw new Error('浏览器不支持流式读取下载内容');
             }
+            
+            // 服务器压缩传输时 Content-Length 是压缩后的大小，进度只作参考
+            const contentLength = parseInt(response.headers.get('Content-Length'), 10);
+            const total = contentLength > 0 ? contentLength : null;
+            let size = 0;
+            
+            const { hashValues, durations } = await this.hashChunks(algorithms, (onChunk) => this.readStreamInChunks(response.body, {
+                total,
+                control,
+                onChunk: (data) => {
+                    size += data.byteLength;
+                    return onChunk(data);
+                },
+                onProgress
+            }), options);
+            
+            const lastModified = Date.parse(response.headers.get('Last-Modified') || '');
+            const urlPath = new URL(response.url || url, location.href).pathname;
+            
+            return {
+                filename: decodeURIComponent(urlPath.split('/').pop()) || new URL(url, location.href).hostname,
+                path: url,
+                url,
+                size,
+                type: (response.headers.get('Content-Type') || '').split(';')[0],
+                lastModified: isNaN(lastModified) ? Date.now() : lastModified,
+                hashValues,
+                durations,
+                chunkSize: null,
+                duration: Date.now() - startTime
+            };
+        } finally {
+            unsubscribe();
         }
-        
-        throw new Error('未知的哈希对象类型');
     },
 
     /**
-     * 计算HMAC
-     * @param {File} file - 要计算HMAC的文件
-     * @param {string} algorithm - 基础哈希算法
-     * @param {string} key - HMAC密钥
-     * @param {Object} options - 选项
-     * @returns {Promise<Object>} 计算结果
+     * 把数据块依次送入所有算法的哈希状态
+     * 单个算法失败时记录错误信息，不影响其他算法
+     * @param {Array<string>} algorithms - 哈希算法名称数组
+     * @param {Function} readChunks - 读取数据的函数，接收块处理函数并返回读取完成的 Promise
+     * @param {Object} options - 选项（resultFormat、hmacKey、outputLengths、algorithmKeys）
+     * @returns {Promise<Object>} { hashValues, durations }
      */
-    async calculateHMAC(file, algorithm, key, options = {}) {
-        const { chunkSize = SettingsManager.get('chunkSize'), onProgress = null } = options;
+    async hashChunks(algorithms, readChunks, options = {}) {
+        const {
+            resultFormat = SettingsManager.get('resultFormat'),
+            hmacKey = null,
+            outputLengths = {},
+            algorithmKeys = {}
+        } = options;
         
-        // 如果没有提供密钥，使用空字符串
-        const hmacKey = key || '';
+        const results = {};
+        const instances = new Map();
         
-        // 将密钥转换为ArrayBuffer
-        const encoder = new TextEncoder();
-        const keyBuffer = encoder.encode(hmacKey);
+        // 每个算法实际用于计算的时间（毫秒），不含读取数据的时间
+        const durations = {};
+        algorithms.forEach(algorithm => {
+            durations[algorithm] = 0;
+        });
+        const timed = async (algorithm, task) => {
+            const start = performance.now();
+            try {
+                return await task();
+            } finally {
+                durations[algorithm] += performance.now() - start;
+            }
+        };
         
-        // 映射算法名称
-        const cryptoAlgoMap = {
-            'md5': 'MD5',
-            'sha1': 'SHA-1',
-            'sha256': 'SHA-256'
+        // 记录单个算法的失败，不影响其他算法继续计算
+        const markFailed = (algorithm, error) => {
+            console.error(`计算 ${algorithm} 哈希失败:`, error);
+            results[algorithm] = `计算失败: ${error.message}`;
+            instances.delete(algorithm);
         };
         
-        const cryptoAlgo = cryptoAlgoMap[algorithm];
+        // 为每个算法创建哈希状态
+        for (const algorithm of algorithms) {
+            try {
+                if (!this.isAlgorithmSupported(algorithm)) {
+                    throw new Error(`不支持的算法: ${algorithm}`);
+                }
+                instances.set(algorithm, await timed(algorithm, () => this.createHashInstance(algorithm, {
+                    hmacKey,
+                    outputLength: outputLengths[algorithm],
+                    key: algorithmKeys[algorithm]
+                })));
+            } catch (error) {
+                markFailed(algorithm, error);
+            }
+        }
         
-        if (!cryptoAlgo) {
-            throw new Error(`不支持的HMAC算法: ${algorithm}`);
+        // 数据只读取一遍，把每个块分发给所有哈希状态
+        try {
+            await readChunks(async (data) => {
+                for (const [algorithm, hashObj] of instances) {
+                    try {
+                        await timed(algorithm, () => this.updateHash(hashObj, data));
+                    } catch (error) {
+                        markFailed(algorithm, error);
+                    }
+                }
+            });
+        } catch (error) {
+            // 取消计算时不产生部分结果
+            if (this.isAbortError(error)) {
+                throw error;
+            }
+            Array.from(instances.keys()).forEach(algorithm => markFailed(algorithm, error));
         }
         
-        // 创建HMAC密钥
-        const hmacKeyObj = await crypto.subtle.importKey(
-            'raw',
-            keyBuffer,
-            { name: `HMAC`, hash: cryptoAlgo },
-            false,
-            ['sign']
-        );
+        // 完成所有哈希计算
+        for (const [algorithm, hashObj] of instances) {
+            try {
+                const hash = await timed(algorithm, () => this.finalizeHash(hashObj));
+                results[algorithm] = this.bufferToHex(hash, resultFormat);
+            } catch (error) {
+                markFailed(algorithm, error);
+            }
+        }
         
-        // 读取整个文件
-        const fileBuffer = await this.readFileAsArrayBuffer(file, {
-            chunkSize,
-            onProgress
+        // 按选择顺序整理结果
+        const hashValues = {};
+        algorithms.forEach(algorithm => {
+            hashValues[algorithm] = results[algorithm];
+            durations[algorithm] = Math.round(durations[algorithm] * 100) / 100;
         });
         
-        // 计算HMAC
-        const startTime = Date.now();
-        const hmacBuffer = await crypto.subtle.sign(
-            'HMAC',
-            hmacKeyObj,
-            fileBuffer
-        );
-        
-        return {
-            algorithm: `hmac-${algorithm}`,
-            hash: this.bufferToHex(hmacBuffer, SettingsManager.get('resultFormat')),
-            duration: Date.now() - startTime
-        };
+        return { hashValues, durations };
     },
 
     /**
-     * 读取文件为ArrayBuffer
-     * @param {File} file - 要读取的文件
+     * 按顺序读取 ReadableStream 中的数据块
+     * 处理完一个块后再读取下一个块，暂停时不再从流中读取
+     * @param {ReadableStream} stream - 数据流
      * @param {Object} options - 选项
-     * @returns {Promise<ArrayBuffer>} 文件内容
+     * @param {Function} options.onChunk - 块处理函数，接收 Uint8Array，可返回 Promise
+     * @param {Function} options.onProgress - 进度回调，总大小未知时 total 和 percentage 为 null
+     * @param {number} options.total - 预期的总字节数（可选）
+     * @param {Object} options.control - 计算控制对象（可选）
+     * @returns {Promise<void>}
      */
-    async readFileAsArrayBuffer(file, options = {}) {
-        const { chunkSize = SettingsManager.get('chunkSize'), onProgress = null } = options;
+    async readStreamInChunks(stream, options = {}) {
+        const { onChunk, onProgress = null, total = null, control = null } = options;
+        const reader = stream.getReader();
+        let processed = 0;
         
-        return new Promise((resolve, reject) => {
-            // 处理小文件
-            if (file.size <= chunkSize) {
-                const reader = new FileReader();
-                
-                reader.onload = (e) => {
-                    if (onProgress) {
-                        onProgress({
-                            processed: file.size,
-                            total: file.size,
-                            percentage: 100
-                        });
+        try {
+            while (true) {
+                if (control) {
+                    await control.waitIfPaused();
+                    
+                    if (control.cancelled) {
+                        throw this.createAbortError();
                     }
-                    resolve(e.target.result);
-                };
+                }
                 
-                reader.onerror = () => {
-                    reject(new Error('文件读取失败'));
-                };
+                const { done, value } = await reader.read();
+                if (done) break;
+                
+                await onChunk(value);
+                processed += value.byteLength;
                 
-                reader.readAsArrayBuffer(file);
-                return;
+                if (onProgress) {
+                    onProgress({
+                        processed,
+                        total,
+                        percentage: total ? Math.min(99, Math.round((processed / total) * 100)) : null
+                    });
+                }
             }
-            
-            // 处理大文件
-            let offset = 0;
-            const chunks = [];
+        } catch (error) {
+            reader.cancel().catch(() => {});
+            if (error.name === 'AbortError') {
+                throw this.createAbortError();
+            }
+            throw error;
+        }
+        
+        if (onProgress) {
+            onProgress({ processed, total: processed, percentage: 100 });
+        }
+    },
+
+    /**
+     * 按块顺序读取文件
+     * 每读取一个块就交给 onChunk 处理，处理完成后再读取下一个块，
+     * 因此任意时刻内存中最多只有一个块
+     * @param {File|Blob} file - 要读取的文件
+     * @param {Object} options - 选项
+     * @param {Function} options.onChunk - 块处理函数，接收 ArrayBuffer，可返回 Promise
+     * @param {Object} options.control - 计算控制对象（可选），用于暂停、继续和取消读取
+     * @returns {Promise<void>}
+     */
+    readFileInChunks(file, options = {}) {
+        const {
+            chunkSize = SettingsManager.get('chunkSize'),
+            onChunk,
+            onProgress = null,
+            control = null
+        } = options;
+        
+        return new Promise((resolve, reject) => {
             const reader = new FileReader();
+            let offset = 0;
+            
+            // 取消时中止正在进行的读取
+            const unsubscribe = control
+                ? control.onChange((type) => {
+                    if (type === 'cancel' && reader.readyState === FileReader.LOADING) {
+                        reader.abort();
+                    }
+                })
+                : () => {};
             
-            const readNextChunk = () => {
-                const chunk = file.slice(offset, offset + chunkSize);
+            const finish = (error) => {
+                unsubscribe();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+            
+            const readNextChunk = async () => {
+                if (control) {
+                    await control.waitIfPaused();
+                    
+                    if (control.cancelled) {
+                        finish(this.createAbortError());
+                        return;
+                    }
+                }
                 
-                reader.onload = (e) => {
-                    chunks.push(e.target.result);
-                    offset += chunk.size;
+                reader.readAsArrayBuffer(file.slice(offset, offset + chunkSize));
+            };
+            
+            reader.onload = async (e) => {
+                try {
+                    const arrayBuffer = e.target.result;
+                    await onChunk(arrayBuffer);
+                    offset += arrayBuffer.byteLength;
                     
                     if (onProgress) {
-                        const percentage = Math.round((offset / file.size) * 100);
                         onProgress({
                             processed: offset,
                             total: file.size,
-                            percentage
+                            percentage: file.size > 0 ? Math.round((offset / file.size) * 100) : 100
                         });
                     }
                     
-                    if (offset < file.size) {
+                    // 处理下一个块或完成（读到空块说明文件在读取过程中被截断）
+                    if (offset < file.size && arrayBuffer.byteLength > 0) {
                         readNextChunk();
                     } else {
-                        // 合并所有块
-                        const totalSize = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
-                        const result = new Uint8Array(totalSize);
-                        
-                        let currentOffset = 0;
-                        chunks.forEach(chunk => {
-                            result.set(new Uint8Array(chunk), currentOffset);
-                            currentOffset += chunk.byteLength;
-                        });
-                        
-                        resolve(result.buffer);
+                        finish();
                     }
-                };
-                
-                reader.onerror = () => {
-                    reject(new Error('文件读取失败'));
-                };
-                
-                reader.readAsArrayBuffer(chunk);
+                } catch (error) {
+                    finish(error);
+                }
+            };
+            
+            reader.onerror = () => {
+                finish(new Error('文件读取失败'));
             };
             
+            reader.onabort = () => {
+                finish(this.createAbortError());
+            };
+            
+            // 开始处理第一个块
             readNextChunk();
         });
     },
 
     /**
-     * 检查算法是否支持
-     * @param {string} algorithm - 算法名称
-     * @returns {boolean} 是否支持
+     * 创建哈希实例
+     * 所有算法均使用增量式的JavaScript实现，内存占用与文件大小无关
+     * @param {string} algorithm - 哈希算法名称
+     * @param {Object} options - 选项（hmacKey、outputLength、key）
+     * @returns {Promise<Object>} 哈希对象
      */
-    isAlgorithmSupported(algorithm) {
-        const supportedAlgorithms = [
-            'md5',
-            'sha1',
-            'sha256',
-            'sha512',
-            'hmac-md5',
-            'hmac-sha1',
-            'hmac-sha256'
-        ];
+    async createHashInstance(algorithm, options = {}) {
+        if (algorithm.startsWith('hmac-')) {
+            return this.createHmacInstance(algorithm.substring(5), options.hmacKey);
+        }
+        
+        return this.createJsHashInstance(algorithm, options);
+    },
+
+    /**
+     * 使用JavaScript实现创建哈希实例
+     * @param {string} algorithm - 哈希算法名称
+     * @param {Object} options - 选项
+     * @param {number} options.outputLength - 输出字节数（仅可变长度算法有效，默认使用注册表中的长度）
+     * @param {Uint8Array} options.key - 密钥（仅支持密钥的算法有效，如BLAKE2、BLAKE3）
+     * @returns {Object} 哈希对象
+     */
+    createJsHashInstance(algorithm, options = {}) {
+        const { outputLength = null, key = null } = options;
+        const info = AlgorithmRegistry.get(algorithm);
+        const keyBytes = key || new Uint8Array(0);
+        let digestLength = info ? info.digestLength : 0;
+        let state;
+        
+        if (info && info.variableLength && outputLength) {
+            if (!AlgorithmRegistry.isValidOutputLength(info.id, outputLength)) {
+                throw new Error(`${info.label} 不支持 ${outputLength * 8} 位输出`);
+            }
+            digestLength = outputLength;
+        }
+        
+        if (info && keyBytes.length > 0 && !AlgorithmRegistry.isValidKeyLength(info.id, keyBytes.length)) {
+            throw new Error(`${info.label} 不支持 ${keyBytes.length} 字节的密钥`);
+        }
+        
+        switch (info && info.engine) {
+            case 'md5':
+                state = this.md5Init();
+                break;
+            case 'sha1':
+                state = this.sha1Init();
+                break;
+            case 'sha256':
+                state = this.sha256Init(SHA2_IV[info.id]);
+                break;
+            case 'sha512':
+                state = this.sha512Init(SHA2_IV[info.id]);
+                break;
+            case 'keccak':
+                state = this.keccakInit(info.blockSize, info.xof ? 0x1F : 0x06);
+                break;
+            case 'blake2b':
+            case 'blake2s':
+                state = this.blake2Init(info.engine, digestLength, keyBytes);
+                break;
+            case 'blake3':
+                state = this.blake3Init(keyBytes);
+                break;
+            case 'crc32':
+                state = this.crcInit(0xEDB88320);
+                break;
+            case 'crc32c':
+                state = this.crcInit(0x82F63B78);
+                break;
+            case 'adler32':
+                state = this.adler32Init();
+                break;
+            case 'xxh64':
+                state = this.xxh64Init();
+                break;
+            case 'xxh3':
+                state = this.xxh3Init();
+                break;
+            default:
+                throw new Error(`不支持的算法: ${algorithm}`);
+        }
+        
+        return {
+            algorithm: info.id,
+            engine: info.engine,
+            digestLength,
+            type: 'js',
+            state
+        };
+    },
+
+    /**
+     * 创建HMAC实例
+     * 按 RFC 2104 在增量哈希状态之上构造：HMAC(K, m) = H((K ^ opad) || H((K ^ ipad) || m))，
+     * 消息部分随文件分块流式送入内层哈希，不需要把整个文件读入内存
+     * @param {string} algorithm - 基础哈希算法
+     * @param {string|Uint8Array} key - HMAC密钥（字符串按UTF-8编码）
+     * @returns {Promise<Object>} HMAC对象
+     */
+    async createHmacInstance(algorithm, key) {
+        const info = AlgorithmRegistry.get(`hmac-${algorithm}`);
+        
+        if (!info) {
+            throw new Error(`不支持的HMAC算法: ${algorithm}`);
+        }
+        
+        // 基础算法的分组长度（字节）
+        const blockSize = AlgorithmRegistry.get(algorithm).blockSize;
+        
+        // 如果没有提供密钥，使用空密钥
+        let keyBytes = key instanceof Uint8Array ? key : new TextEncoder().encode(key || '');
+        
+        // 长于分组长度的密钥先做一次哈希
+        if (keyBytes.length > blockSize) {
+            keyBytes = await this.digestBytes(algorithm, keyBytes);
+        }
+        
+        const innerPad = new Uint8Array(blockSize);
+        const outerPad = new Uint8Array(blockSize);
+        
+        for (let i = 0; i < blockSize; i++) {
+            const keyByte = i < keyBytes.length ? keyBytes[i] : 0;
+            innerPad[i] = keyByte ^ 0x36;
+            outerPad[i] = keyByte ^ 0x5C;
+        }
+        
+        const inner = this.createJsHashInstance(algorithm);
+        await this.updateHash(inner, innerPad);
+        
+        return {
+            algorithm: info.id,
+            type: 'hmac',
+            baseAlgorithm: algorithm,
+            inner,
+            outerPad
+        };
+    },
+
+    /**
+     * 一次性计算内存中数据的摘要
+     * @param {string} algorithm - 哈希算法名称
+     * @param {Uint8Array} data - 数据
+     * @returns {Promise<Uint8Array>} 摘要字节
+     */
+    async digestBytes(algorithm, data) {
+        const hashObj = this.createJsHashInstance(algorithm);
+        await this.updateHash(hashObj, data);
+        return new Uint8Array(await this.finalizeHash(hashObj));
+    },
+
+    /**
+     * 更新哈希对象
+     * @param {Object} hashObj - 哈希对象
+     * @param {ArrayBuffer|Uint8Array} data - 要添加的数据
+     * @returns {Promise<void>}
+     */
+    async updateHash(hashObj, data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        
+        if (hashObj.type === 'hmac') {
+            await this.updateHash(hashObj.inner, bytes);
+            return;
+        }
+        
+        switch (hashObj.engine) {
+            case 'md5':
+                hashObj.state = this.md5Update(hashObj.state, bytes);
+                break;
+            case 'sha1':
+                this.blockUpdate(hashObj.state, bytes, (block) => this.sha1Transform(hashObj.state, block));
+                break;
+            case 'sha256':
+                this.blockUpdate(hashObj.state, bytes, (block) => this.sha256Transform(hashObj.state, block));
+                break;
+            case 'sha512':
+                this.blockUpdate(hashObj.state, bytes, (block) => this.sha512Transform(hashObj.state, block));
+                break;
+            case 'keccak':
+                this.blockUpdate(hashObj.state, bytes, (block) => this.keccakAbsorb(hashObj.state, block));
+                break;
+            case 'blake2b':
+                this.blake2Update(hashObj.state, bytes, (block, isLast) => this.blake2bCompress(hashObj.state, block, isLast));
+                break;
+            case 'blake2s':
+                this.blake2Update(hashObj.state, bytes, (block, isLast) => this.blake2sCompress(hashObj.state, block, isLast));
+                break;
+            case 'blake3':
+                this.blake3Update(hashObj.state, bytes);
+                break;
+            case 'crc32':
+            case 'crc32c':
+                this.crcUpdate(hashObj.state, bytes);
+                break;
+            case 'adler32':
+                this.adler32Update(hashObj.state, bytes);
+                break;
+            case 'xxh64':
+                this.blockUpdate(hashObj.state, bytes, (block) => this.xxh64Transform(hashObj.state, block));
+                break;
+            case 'xxh3':
+                this.xxh3Update(hashObj.state, bytes);
+                break;
+        }
+    },
+
+    /**
+     * 完成哈希计算
+     * @param {Object} hashObj - 哈希对象
+     * @returns {Promise<ArrayBuffer>} 哈希结果
+     */
+    async finalizeHash(hashObj) {
+        if (hashObj.type === 'hmac') {
+            const innerDigest = await this.finalizeHash(hashObj.inner);
+            const outer = this.createJsHashInstance(hashObj.baseAlgorithm);
+            await this.updateHash(outer, hashObj.outerPad);
+            await this.updateHash(outer, innerDigest);
+            return this.finalizeHash(outer);
+        }
+        
+        switch (hashObj.engine) {
+            case 'md5':
+                return this.md5Final(hashObj.state).buffer;
+            case 'sha1':
+                return this.sha1Final(hashObj.state).buffer;
+            case 'sha256':
+                // SHA-224 为截断输出
+                return this.sha256Final(hashObj.state).slice(0, hashObj.digestLength).buffer;
+            case 'sha512':
+                // SHA-384、SHA-512/256 为截断输出
+                return this.sha512Final(hashObj.state).slice(0, hashObj.digestLength).buffer;
+            case 'keccak':
+                return this.keccakFinal(hashObj.state, hashObj.digestLength).buffer;
+            case 'blake2b':
+                return this.blake2Final(hashObj.state, (block, isLast) => this.blake2bCompress(hashObj.state, block, isLast)).buffer;
+            case 'blake2s':
+                return this.blake2Final(hashObj.state, (block, isLast) => this.blake2sCompress(hashObj.state, block, isLast)).buffer;
+            case 'blake3':
+                return this.blake3Final(hashObj.state, hashObj.digestLength).buffer;
+            case 'crc32':
+            case 'crc32c':
+                return this.crcFinal(hashObj.state).buffer;
+            case 'adler32':
+                return this.adler32Final(hashObj.state).buffer;
+            case 'xxh64':
+                return this.xxh64Final(hashObj.state).buffer;
+            case 'xxh3':
+                return this.xxh3Final(hashObj.state).buffer;
+        }
+        
+        throw new Error('未知的哈希对象类型');
+    },
+
+    /**
+     * 计算HMAC
+     * @param {File} file - 要计算HMAC的文件
+     * @param {string} algorithm - 基础哈希算法
+     * @param {string|Uint8Array} key - HMAC密钥
+     * @param {Object} options - 选项
+     * @returns {Promise<Object>} 计算结果
+     */
+    async calculateHMAC(file, algorithm, key, options = {}) {
+        return this.calculateHash(file, `hmac-${algorithm}`, {
+            ...options,
+            hmacKey: key
+        });
+    },
+
+    /**
+     * 读取文件为ArrayBuffer
+     * @param {File} file - 要读取的文件
+     * @param {Object} options - 选项
+     * @returns {Promise<ArrayBuffer>} 文件内容
+     */
+    async readFileAsArrayBuffer(file, options = {}) {
+        const chunks = [];
+        
+        await this.readFileInChunks(file, {
+            ...options,
+            onChunk: (data) => {
+                chunks.push(new Uint8Array(data));
+            }
+        });
+        
+        return this.concatChunks(chunks);
+    },
+
+    /**
+     * 合并多个数据块
+     * @param {Array<Uint8Array>} chunks - 数据块数组
+     * @returns {ArrayBuffer} 合并后的数据
+     */
+    concatChunks(chunks) {
+        const totalSize = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+        const result = new Uint8Array(totalSize);
+        
+        let currentOffset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, currentOffset);
+            currentOffset += chunk.byteLength;
+        });
+        
+        return result.buffer;
+    },
+
+    /**
+     * 检查算法是否支持
+     * @param {string} algorithm - 算法名称
+     * @returns {boolean} 是否支持
+     */
+    isAlgorithmSupported(algorithm) {
+        return AlgorithmRegistry.isSupported(algorithm);
+    },
+
+    /**
+     * 分块缓冲更新（SHA系列共用）
+     * 数据按块大小送入压缩函数，不足一块的剩余部分保存在缓冲区中等待下次更新，
+     * 因此无论文件多大，状态对象的内存占用都是固定的
+     * @param {Object} state - 包含 buffer、bufferLength、length 的哈希状态
+     * @param {Uint8Array} data - 要添加的数据
+     * @param {Function} transform - 处理一个完整数据块的压缩函数
+     */
+    blockUpdate(state, data, transform) {
+        const blockSize = state.buffer.length;
+        let offset = 0;
+        
+        state.length += data.length;
+        
+        // 先补满上次遗留的缓冲区
+        if (state.bufferLength > 0) {
+            const needed = Math.min(data.length, blockSize - state.bufferLength);
+            state.buffer.set(data.subarray(0, needed), state.bufferLength);
+            state.bufferLength += needed;
+            offset = needed;
+            
+            if (state.bufferLength === blockSize) {
+                transform(state.buffer);
+                state.bufferLength = 0;
+            }
+        }
+        
+        // 直接处理完整的块，避免额外复制
+        while (offset + blockSize <= data.length) {
+            transform(data.subarray(offset, offset + blockSize));
+            offset += blockSize;
+        }
+        
+        // 保存剩余数据到缓冲区
+        if (offset < data.length) {
+            state.buffer.set(data.subarray(offset), 0);
+            state.bufferLength = data.length - offset;
+        }
+    },
+    
+    /**
+     * 添加Merkle-Damgård填充并处理最后的块（大端序消息长度）
+     * @param {Object} state - 哈希状态
+     * @param {number} lengthFieldSize - 长度字段字节数（SHA-1/SHA-256为8，SHA-512为16）
+     * @param {Function} transform - 压缩函数
+     */
+    mdPad(state, lengthFieldSize, transform) {
+        const { buffer } = state;
+        const blockSize = buffer.length;
+        let index = state.bufferLength;
+        
+        buffer[index++] = 0x80;
+        
+        // 如果没有足够的空间添加长度，则添加一个额外的块
+        if (index > blockSize - lengthFieldSize) {
+            buffer.fill(0, index);
+            transform(buffer);
+            index = 0;
+        }
+        
+        buffer.fill(0, index);
+        
+        // 写入消息位长度（字节数 * 8，可能超过32位）
+        const bitsHigh = Math.floor(state.length / 0x20000000);
+        const bitsLow = (state.length * 8) >>> 0;
+        const view = new DataView(buffer.buffer, buffer.byteOffset, blockSize);
+        view.setUint32(blockSize - 8, bitsHigh >>> 0, false);
+        view.setUint32(blockSize - 4, bitsLow, false);
+        
+        transform(buffer);
+        state.bufferLength = 0;
+    },
+    
+    /**
+     * 将32位字数组按大端序转换为字节数组
+     * @param {Int32Array|Uint32Array} words - 字数组
+     * @param {number} byteLength - 输出字节数
+     * @returns {Uint8Array} 字节数组
+     */
+    wordsToBytesBE(words, byteLength) {
+        const result = new Uint8Array(byteLength);
+        
+        for (let i = 0; i < byteLength; i++) {
+            result[i] = (words[i >> 2] >>> (24 - (i & 3) * 8)) & 0xFF;
+        }
+        
+        return result;
+    },
+    
+    /**
+     * 将32位字数组按小端序转换为字节数组
+     * @param {Int32Array|Uint32Array} words - 字数组
+     * @param {number} byteLength - 输出字节数
+     * @returns {Uint8Array} 字节数组
+     */
+    wordsToBytesLE(words, byteLength) {
+        const result = new Uint8Array(byteLength);
+        
+        for (let i = 0; i < byteLength; i++) {
+            result[i] = (words[i >> 2] >>> ((i & 3) * 8)) & 0xFF;
+        }
+        
+        return result;
+    },
+
+    /**
+     * SHA-1算法实现
+     */
+    
+    // SHA-1初始状态
+    sha1Init() {
+        return {
+            hash: new Int32Array([0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0]),
+            words: new Int32Array(80),
+            buffer: new Uint8Array(64),
+            bufferLength: 0,
+            length: 0
+        };
+    },
+    
+    // SHA-1完成
+    sha1Final(state) {
+        this.mdPad(state, 8, (block) => this.sha1Transform(state, block));
+        return this.wordsToBytesBE(state.hash, 20);
+    },
+    
+    // SHA-1变换
+    sha1Transform(state, block) {
+        const { hash: h, words: w } = state;
+        
+        for (let i = 0; i < 16; i++) {
+            const j = i * 4;
+            w[i] = (block[j] << 24) | (block[j + 1] << 16) | (block[j + 2] << 8) | block[j + 3];
+        }
+        
+        for (let i = 16; i < 80; i++) {
+            const t = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+            w[i] = (t << 1) | (t >>> 31);
+        }
+        
+        let a = h[0];
+        let b = h[1];
+        let c = h[2];
+        let d = h[3];
+        let e = h[4];
+        
+        for (let i = 0; i < 80; i++) {
+            let f, k;
+            
+            if (i < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5A827999;
+            } else if (i < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ED9EBA1;
+            } else if (i < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8F1BBCDC;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xCA62C1D6;
+            }
+            
+            const t = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) | 0;
+            e = d;
+            d = c;
+            c = (b << 30) | (b >>> 2);
+            b = a;
+            a = t;
+        }
+        
+        h[0] = (h[0] + a) | 0;
+        h[1] = (h[1] + b) | 0;
+        h[2] = (h[2] + c) | 0;
+        h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0;
+    },
+
+    /**
+     * SHA-256算法实现
+     */
+    
+    // SHA-256初始状态（SHA-224 使用不同的初始值）
+    sha256Init(iv = SHA2_IV['sha256']) {
+        return {
+            hash: new Int32Array(iv),
+            words: new Int32Array(64),
+            buffer: new Uint8Array(64),
+            bufferLength: 0,
+            length: 0
+        };
+    },
+    
+    // SHA-256完成
+    sha256Final(state) {
+        this.mdPad(state, 8, (block) => this.sha256Transform(state, block));
+        return this.wordsToBytesBE(state.hash, 32);
+    },
+    
+    // SHA-256变换
+    sha256Transform(state, block) {
+        const { hash: h, words: w } = state;
+        
+        for (let i = 0; i < 16; i++) {
+            const j = i * 4;
+            w[i] = (block[j] << 24) | (block[j + 1] << 16) | (block[j + 2] << 8) | block[j + 3];
+        }
+        
+        for (let i = 16; i < 64; i++) {
+            const x = w[i - 15];
+            const y = w[i - 2];
+            const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+            const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+        
+        let a = h[0];
+        let b = h[1];
+        let c = h[2];
+        let d = h[3];
+        let e = h[4];
+        let f = h[5];
+        let g = h[6];
+        let hh = h[7];
+        
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (hh + S1 + ch + SHA256_K[i] + w[i]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) | 0;
+            
+            hh = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        
+        h[0] = (h[0] + a) | 0;
+        h[1] = (h[1] + b) | 0;
+        h[2] = (h[2] + c) | 0;
+        h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0;
+        h[5] = (h[5] + f) | 0;
+        h[6] = (h[6] + g) | 0;
+        h[7] = (h[7] + hh) | 0;
+    },
+
+    /**
+     * SHA-512算法实现
+     * JavaScript没有原生64位整数运算，每个64位字拆成高32位和低32位两部分存放
+     */
+    
+    // SHA-512初始状态（SHA-384、SHA-512/256 使用不同的初始值）
+    sha512Init(iv = SHA2_IV['sha512']) {
+        return {
+            hash: new Int32Array(iv),
+            words: new Int32Array(160),
+            buffer: new Uint8Array(128),
+            bufferLength: 0,
+            length: 0
+        };
+    },
+    
+    // SHA-512完成
+    sha512Final(state) {
+        this.mdPad(state, 16, (block) => this.sha512Transform(state, block));
+        return this.wordsToBytesBE(state.hash, 64);
+    },
+    
+    // SHA-512变换
+    sha512Transform(state, block) {
+        const { hash: h, words: w } = state;
+        const TWO_32 = 0x100000000;
+        
+        for (let i = 0; i < 32; i++) {
+            const j = i * 4;
+            w[i] = (block[j] << 24) | (block[j + 1] << 16) | (block[j + 2] << 8) | block[j + 3];
+        }
+        
+        for (let i = 16; i < 80; i++) {
+            // σ0 = ROTR1 ^ ROTR8 ^ SHR7
+            let xh = w[(i - 15) * 2];
+            let xl = w[(i - 15) * 2 + 1];
+            const s0h = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^ (xh >>> 7);
+            const s0l = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^ ((xl >>> 7) | (xh << 25));
+            
+            // σ1 = ROTR19 ^ ROTR61 ^ SHR6
+            xh = w[(i - 2) * 2];
+            xl = w[(i - 2) * 2 + 1];
+            const s1h = ((xh >>> 19) | (xl << 13)) ^ ((xl >>> 29) | (xh << 3)) ^ (xh >>> 6);
+            const s1l = ((xl >>> 19) | (xh << 13)) ^ ((xh >>> 29) | (xl << 3)) ^ ((xl >>> 6) | (xh << 26));
+            
+            const lo = (s0l >>> 0) + (s1l >>> 0) + (w[(i - 7) * 2 + 1] >>> 0) + (w[(i - 16) * 2 + 1] >>> 0);
+            w[i * 2] = s0h + s1h + w[(i - 7) * 2] + w[(i - 16) * 2] + ((lo / TWO_32) | 0);
+            w[i * 2 + 1] = lo;
+        }
+        
+        let ah = h[0], al = h[1], bh = h[2], bl = h[3];
+        let ch = h[4], cl = h[5], dh = h[6], dl = h[7];
+        let eh = h[8], el = h[9], fh = h[10], fl = h[11];
+        let gh = h[12], gl = h[13], hh = h[14], hl = h[15];
+        
+        for (let i = 0; i < 80; i++) {
+            // Σ1 = ROTR14 ^ ROTR18 ^ ROTR41
+            const S1h = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^ ((el >>> 9) | (eh << 23));
+            const S1l = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^ ((eh >>> 9) | (el << 23));
+            const chh = (eh & fh) ^ (~eh & gh);
+            const chl = (el & fl) ^ (~el & gl);
+            
+            // T1 = h + Σ1 + Ch + K + W
+            let lo = (hl >>> 0) + (S1l >>> 0) + (chl >>> 0) + SHA512_K[i * 2 + 1] + (w[i * 2 + 1] >>> 0);
+            const t1h = (hh + S1h + chh + SHA512_K[i * 2] + w[i * 2] + ((lo / TWO_32) | 0)) | 0;
+            const t1l = lo >>> 0;
+            
+            // Σ0 = ROTR28 ^ ROTR34 ^ ROTR39
+            const S0h = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^ ((al >>> 7) | (ah << 25));
+            const S0l = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^ ((ah >>> 7) | (al << 25));
+            const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+            const majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+            
+            // T2 = Σ0 + Maj
+            lo = (S0l >>> 0) + (majl >>> 0);
+            const t2h = (S0h + majh + ((lo / TWO_32) | 0)) | 0;
+            const t2l = lo >>> 0;
+            
+            hh = gh; hl = gl;
+            gh = fh; gl = fl;
+            fh = eh; fl = el;
+            
+            lo = (dl >>> 0) + t1l;
+            eh = (dh + t1h + ((lo / TWO_32) | 0)) | 0;
+            el = lo | 0;
+            
+            dh = ch; dl = cl;
+            ch = bh; cl = bl;
+            bh = ah; bl = al;
+            
+            lo = t1l + t2l;
+            ah = (t1h + t2h + ((lo / TWO_32) | 0)) | 0;
+            al = lo | 0;
+        }
+        
+        const add = (index, xh, xl) => {
+            const lo = (h[index + 1] >>> 0) + (xl >>> 0);
+            h[index] = h[index] + xh + ((lo / TWO_32) | 0);
+            h[index + 1] = lo;
+        };
+        
+        add(0, ah, al);
+        add(2, bh, bl);
+        add(4, ch, cl);
+        add(6, dh, dl);
+        add(8, eh, el);
+        add(10, fh, fl);
+        add(12, gh, gl);
+        add(14, hh, hl);
+    },
+
+    /**
+     * Keccak（SHA-3、SHAKE）算法实现
+     * 1600位状态由25个64位lane组成，每个lane按低32位、高32位交替存放（小端序）
+     */
+    
+    /**
+     * Keccak初始状态
+     * @param {number} rate - 每次吸收的字节数（SHA3-256为136，SHAKE128为168）
+     * @param {number} suffix - 域分隔后缀（SHA-3为0x06，SHAKE为0x1F）
+     */
+    keccakInit(rate, suffix) {
+        return {
+            lanes: new Int32Array(50),
+            columns: new Int32Array(10),
+            temp: new Int32Array(50),
+            buffer: new Uint8Array(rate),
+            bufferLength: 0,
+            length: 0,
+            suffix
+        };
+    },
+    
+    /**
+     * Keccak完成：填充后按需要的长度挤出输出
+     * @param {Object} state - Keccak状态
+     * @param {number} outputLength - 输出字节数
+     * @returns {Uint8Array} 摘要字节
+     */
+    keccakFinal(state, outputLength) {
+        const { buffer, lanes } = state;
+        const rate = buffer.length;
+        
+        buffer.fill(0, state.bufferLength);
+        buffer[state.bufferLength] ^= state.suffix;
+        buffer[rate - 1] ^= 0x80;
+        this.keccakAbsorb(state, buffer);
+        state.bufferLength = 0;
+        
+        const result = new Uint8Array(outputLength);
+        
+        for (let offset = 0; offset < outputLength; offset += rate) {
+            if (offset > 0) {
+                this.keccakPermute(state);
+            }
+            
+            const count = Math.min(rate, outputLength - offset);
+            for (let i = 0; i < count; i++) {
+                result[offset + i] = (lanes[i >> 2] >>> ((i & 3) * 8)) & 0xFF;
+            }
+        }
+        
+        return result;
+    },
+    
+    // Keccak吸收一个数据块
+    keccakAbsorb(state, block) {
+        const { lanes } = state;
+        const words = block.length >> 2;
+        
+        for (let i = 0; i < words; i++) {
+            const j = i * 4;
+            lanes[i] ^= block[j] | (block[j + 1] << 8) | (block[j + 2] << 16) | (block[j + 3] << 24);
+        }
+        
+        this.keccakPermute(state);
+    },
+    
+    // Keccak-f[1600] 置换
+    keccakPermute(state) {
+        const { lanes: s, columns: c, temp: b } = state;
+        
+        for (let round = 0; round < 48; round += 2) {
+            // θ：每个lane异或相邻两列的奇偶校验
+            for (let x = 0; x < 10; x += 2) {
+                c[x] = s[x] ^ s[x + 10] ^ s[x + 20] ^ s[x + 30] ^ s[x + 40];
+                c[x + 1] = s[x + 1] ^ s[x + 11] ^ s[x + 21] ^ s[x + 31] ^ s[x + 41];
+            }
+            
+            for (let x = 0; x < 10; x += 2) {
+                const prev = (x + 8) % 10;
+                const next = (x + 2) % 10;
+                const dl = c[prev] ^ ((c[next] << 1) | (c[next + 1] >>> 31));
+                const dh = c[prev + 1] ^ ((c[next + 1] << 1) | (c[next] >>> 31));
+                
+                for (let y = x; y < 50; y += 10) {
+                    s[y] ^= dl;
+                    s[y + 1] ^= dh;
+                }
+            }
+            
+            // ρ 和 π：循环左移并重新排列lane
+            for (let i = 0; i < 50; i += 2) {
+                const target = KECCAK_PI[i >> 1];
+                const n = KECCAK_ROTATIONS[i >> 1];
+                const lo = s[i];
+                const hi = s[i + 1];
+                
+                if (n === 0) {
+                    b[target] = lo;
+                    b[target + 1] = hi;
+                } else if (n < 32) {
+                    b[target] = (lo << n) | (hi >>> (32 - n));
+                    b[target + 1] = (hi << n) | (lo >>> (32 - n));
+                } else {
+                    b[target] = (hi << (n - 32)) | (lo >>> (64 - n));
+                    b[target + 1] = (lo << (n - 32)) | (hi >>> (64 - n));
+                }
+            }
+            
+            // χ：按行做非线性变换
+            for (let y = 0; y < 50; y += 10) {
+                const b0 = b[y], b1 = b[y + 1], b2 = b[y + 2], b3 = b[y + 3], b4 = b[y + 4];
+                const b5 = b[y + 5], b6 = b[y + 6], b7 = b[y + 7], b8 = b[y + 8], b9 = b[y + 9];
+                
+                s[y] = b0 ^ (~b2 & b4);
+                s[y + 1] = b1 ^ (~b3 & b5);
+                s[y + 2] = b2 ^ (~b4 & b6);
+                s[y + 3] = b3 ^ (~b5 & b7);
+                s[y + 4] = b4 ^ (~b6 & b8);
+                s[y + 5] = b5 ^ (~b7 & b9);
+                s[y + 6] = b6 ^ (~b8 & b0);
+                s[y + 7] = b7 ^ (~b9 & b1);
+                s[y + 8] = b8 ^ (~b0 & b2);
+                s[y + 9] = b9 ^ (~b1 & b3);
+            }
+            
+            // ι：异或轮常量
+            s[0] ^= KECCAK_RC[round + 1];
+            s[1] ^= KECCAK_RC[round];
+        }
+    },
+
+    /**
+     * BLAKE2 算法实现（RFC 7693）
+     * BLAKE2b使用64位字（按低32位、高32位交替存放），BLAKE2s使用32位字，
+     * 两者都用SHA-2的初始值作为IV，并把参数块（输出长度、密钥长度）异或进初始状态
+     */
+    
+    /**
+     * BLAKE2初始状态
+     * @param {string} variant - 'blake2b' 或 'blake2s'
+     * @param {number} outputLength - 输出字节数
+     * @param {Uint8Array} key - 密钥（可为空）
+     */
+    blake2Init(variant, outputLength, key) {
+        const isB = variant === 'blake2b';
+        const blockSize = isB ? 128 : 64;
+        const hash = new Int32Array(isB ? 16 : 8);
+        
+        if (isB) {
+            // SHA-512的初始值按高、低32位存放，这里换成低、高顺序
+            const iv = SHA2_IV['sha512'];
+            for (let i = 0; i < 16; i += 2) {
+                hash[i] = iv[i + 1];
+                hash[i + 1] = iv[i];
+            }
+        } else {
+            hash.set(SHA2_IV['sha256']);
+        }
+        
+        hash[0] ^= 0x01010000 ^ (key.length << 8) ^ outputLength;
+        
+        const state = {
+            hash,
+            v: new Int32Array(hash.length * 2),
+            m: new Int32Array(hash.length * 2),
+            buffer: new Uint8Array(blockSize),
+            bufferLength: 0,
+            length: 0,
+            outputLength
+        };
+        
+        // 带密钥时，密钥补零后作为第一个数据块
+        if (key.length > 0) {
+            state.buffer.set(key);
+            state.bufferLength = blockSize;
+        }
+        
+        return state;
+    },
+    
+    /**
+     * BLAKE2更新
+     * 最后一个块需要带结束标志压缩，因此缓冲区满后要等到有更多数据时才压缩
+     * @param {Object} state - BLAKE2状态
+     * @param {Uint8Array} data - 要添加的数据
+     * @param {Function} compress - 压缩函数，参数为 (block, isLast)
+     */
+    blake2Update(state, data, compress) {
+        const { buffer } = state;
+        const blockSize = buffer.length;
+        let offset = 0;
+        
+        while (offset < data.length) {
+            if (state.bufferLength === blockSize) {
+                state.length += blockSize;
+                compress(buffer, false);
+                state.bufferLength = 0;
+            }
+            
+            const count = Math.min(blockSize - state.bufferLength, data.length - offset);
+            buffer.set(data.subarray(offset, offset + count), state.bufferLength);
+            state.bufferLength += count;
+            offset += count;
+        }
+    },
+    
+    /**
+     * BLAKE2完成
+     * @param {Object} state - BLAKE2状态
+     * @param {Function} compress - 压缩函数
+     * @returns {Uint8Array} 摘要字节
+     */
+    blake2Final(state, compress) {
+        state.length += state.bufferLength;
+        state.buffer.fill(0, state.bufferLength);
+        compress(state.buffer, true);
+        
+        return this.wordsToBytesLE(state.hash, state.outputLength);
+    },
+    
+    // BLAKE2b压缩函数
+    blake2bCompress(state, block, isLast) {
+        const { hash: h, v, m } = state;
+        const TWO_32 = 0x100000000;
+        
+        for (let i = 0; i < 32; i++) {
+            const j = i * 4;
+            m[i] = block[j] | (block[j + 1] << 8) | (block[j + 2] << 16) | (block[j + 3] << 24);
+        }
+        
+        for (let i = 0; i < 16; i++) {
+            v[i] = h[i];
+        }
+        for (let i = 0; i < 16; i += 2) {
+            v[16 + i] = SHA2_IV['sha512'][i + 1];
+            v[17 + i] = SHA2_IV['sha512'][i];
+        }
+        
+        // 已处理的字节数（128位计数器，这里只用到低64位）
+        v[24] ^= state.length;
+        v[25] ^= (state.length / TWO_32) | 0;
+        
+        if (isLast) {
+            v[28] = ~v[28];
+            v[29] = ~v[29];
+        }
+        
+        // a += b + m（64位加法）
+        const add = (a, b, x) => {
+            const lo = (v[a] >>> 0) + (v[b] >>> 0) + (m[x] >>> 0);
+            v[a + 1] = (v[a + 1] + v[b + 1] + m[x + 1] + ((lo / TWO_32) | 0)) | 0;
+            v[a] = lo | 0;
+        };
+        
+        // c += d（64位加法）
+        const addCD = (c, d) => {
+            const lo = (v[c] >>> 0) + (v[d] >>> 0);
+            v[c + 1] = (v[c + 1] + v[d + 1] + ((lo / TWO_32) | 0)) | 0;
+            v[c] = lo | 0;
+        };
+        
+        const g = (a, b, c, d, x, y) => {
+            add(a, b, x);
+            // d = (d ^ a) >>> 32
+            let xl = v[d] ^ v[a];
+            let xh = v[d + 1] ^ v[a + 1];
+            v[d] = xh;
+            v[d + 1] = xl;
+            addCD(c, d);
+            // b = (b ^ c) >>> 24
+            xl = v[b] ^ v[c];
+            xh = v[b + 1] ^ v[c + 1];
+            v[b] = (xl >>> 24) | (xh << 8);
+            v[b + 1] = (xh >>> 24) | (xl << 8);
+            add(a, b, y);
+            // d = (d ^ a) >>> 16
+            xl = v[d] ^ v[a];
+            xh = v[d + 1] ^ v[a + 1];
+            v[d] = (xl >>> 16) | (xh << 16);
+            v[d + 1] = (xh >>> 16) | (xl << 16);
+            addCD(c, d);
+            // b = (b ^ c) >>> 63
+            xl = v[b] ^ v[c];
+            xh = v[b + 1] ^ v[c + 1];
+            v[b] = (xh >>> 31) | (xl << 1);
+            v[b + 1] = (xl >>> 31) | (xh << 1);
+        };
+        
+        for (let round = 0; round < 12; round++) {
+            const s = BLAKE2_SIGMA[round % 10];
+            
+            g(0, 8, 16, 24, s[0] * 2, s[1] * 2);
+            g(2, 10, 18, 26, s[2] * 2, s[3] * 2);
+            g(4, 12, 20, 28, s[4] * 2, s[5] * 2);
+            g(6, 14, 22, 30, s[6] * 2, s[7] * 2);
+            g(0, 10, 20, 30, s[8] * 2, s[9] * 2);
+            g(2, 12, 22, 24, s[10] * 2, s[11] * 2);
+            g(4, 14, 16, 26, s[12] * 2, s[13] * 2);
+            g(6, 8, 18, 28, s[14] * 2, s[15] * 2);
+        }
+        
+        for (let i = 0; i < 16; i++) {
+            h[i] ^= v[i] ^ v[i + 16];
+        }
+    },
+    
+    // BLAKE2s压缩函数
+    blake2sCompress(state, block, isLast) {
+        const { hash: h, v, m } = state;
+        
+        for (let i = 0; i < 16; i++) {
+            const j = i * 4;
+            m[i] = block[j] | (block[j + 1] << 8) | (block[j + 2] << 16) | (block[j + 3] << 24);
+        }
+        
+        v.set(h);
+        v.set(SHA2_IV['sha256'], 8);
+        
+        // 已处理的字节数（64位计数器）
+        v[12] ^= state.length;
+        v[13] ^= (state.length / 0x100000000) | 0;
+        
+        if (isLast) {
+            v[14] = ~v[14];
+        }
+        
+        for (let round = 0; round < 10; round++) {
+            this.blakeRound(v, m, BLAKE2_SIGMA[round]);
+        }
+        
+        for (let i = 0; i < 8; i++) {
+            h[i] ^= v[i] ^ v[i + 8];
+        }
+    },
+    
+    /**
+     * BLAKE2s / BLAKE3 共用的一轮运算（32位字，循环右移16、12、8、7位）
+     * @param {Int32Array} v - 工作向量（16个字）
+     * @param {Int32Array} m - 消息字
+     * @param {Array<number>} s - 本轮的消息字顺序
+     */
+    blakeRound(v, m, s) {
+        const g = (a, b, c, d, x, y) => {
+            v[a] = (v[a] + v[b] + x) | 0;
+            v[d] ^= v[a];
+            v[d] = (v[d] >>> 16) | (v[d] << 16);
+            v[c] = (v[c] + v[d]) | 0;
+            v[b] ^= v[c];
+            v[b] = (v[b] >>> 12) | (v[b] << 20);
+            v[a] = (v[a] + v[b] + y) | 0;
+            v[d] ^= v[a];
+            v[d] = (v[d] >>> 8) | (v[d] << 24);
+            v[c] = (v[c] + v[d]) | 0;
+            v[b] ^= v[c];
+            v[b] = (v[b] >>> 7) | (v[b] << 25);
+        };
+        
+        g(0, 4, 8, 12, m[s[0]], m[s[1]]);
+        g(1, 5, 9, 13, m[s[2]], m[s[3]]);
+        g(2, 6, 10, 14, m[s[4]], m[s[5]]);
+        g(3, 7, 11, 15, m[s[6]], m[s[7]]);
+        g(0, 5, 10, 15, m[s[8]], m[s[9]]);
+        g(1, 6, 11, 12, m[s[10]], m[s[11]]);
+        g(2, 7, 8, 13, m[s[12]], m[s[13]]);
+        g(3, 4, 9, 14, m[s[14]], m[s[15]]);
+    },
+
+    /**
+     * BLAKE3算法实现
+     * 输入按1024字节分成块（chunk），每个chunk按64字节分组压缩得到链值，
+     * 链值两两合并成二叉树。已完成子树的链值保存在栈中，栈深度不超过log2(chunk数)，
+     * 因此内存占用与文件大小无关
+     */
+    
+    /**
+     * BLAKE3初始状态
+     * @param {Uint8Array} key - 32字节密钥（为空时为普通哈希模式）
+     */
+    blake3Init(key) {
+        const keyWords = new Int32Array(8);
+        let flags = 0;
+        
+        if (key.length > 0) {
+            for (let i = 0; i < 8; i++) {
+                const j = i * 4;
+                keyWords[i] = key[j] | (key[j + 1] << 8) | (key[j + 2] << 16) | (key[j + 3] << 24);
+            }
+            flags = BLAKE3_KEYED_HASH;
+        } else {
+            keyWords.set(SHA2_IV['sha256']);
+        }
+        
+        return {
+            key: keyWords,
+            flags,
+            chainingValue: keyWords.slice(),
+            chunkCounter: 0,
+            blocksCompressed: 0,
+            stack: [],
+            words: new Int32Array(16),
+            v: new Int32Array(16),
+            buffer: new Uint8Array(64),
+            bufferLength: 0
+        };
+    },
+    
+    /**
+     * BLAKE3压缩函数
+     * @param {Int32Array} chainingValue - 输入链值（8个字）
+     * @param {Int32Array} words - 消息字（16个字）
+     * @param {number} counter - 计数器（chunk序号或输出块序号）
+     * @param {number} blockLength - 数据块字节数
+     * @param {number} flags - 标志位
+     * @param {Int32Array} v - 工作向量，压缩后保存16个输出字
+     */
+    blake3Compress(chainingValue, words, counter, blockLength, flags, v) {
+        v.set(chainingValue);
+        v[8] = SHA2_IV['sha256'][0];
+        v[9] = SHA2_IV['sha256'][1];
+        v[10] = SHA2_IV['sha256'][2];
+        v[11] = SHA2_IV['sha256'][3];
+        v[12] = counter;
+        v[13] = (counter / 0x100000000) | 0;
+        v[14] = blockLength;
+        v[15] = flags;
+        
+        for (let round = 0; round < 7; round++) {
+            this.blakeRound(v, words, BLAKE3_SCHEDULE[round]);
+        }
+        
+        for (let i = 0; i < 8; i++) {
+            v[i] ^= v[i + 8];
+            v[i + 8] ^= chainingValue[i];
+        }
+    },
+    
+    // 把数据块转换为BLAKE3消息字（小端序）
+    blake3LoadWords(block, words) {
+        for (let i = 0; i < 16; i++) {
+            const j = i * 4;
+            words[i] = block[j] | (block[j + 1] << 8) | (block[j + 2] << 16) | (block[j + 3] << 24);
+        }
+    },
+    
+    /**
+     * BLAKE3更新
+     * 与BLAKE2相同，缓冲区满后要等到有更多数据时才压缩，因为chunk的最后一块需要带结束标志
+     * @param {Object} state - BLAKE3状态
+     * @param {Uint8Array} data - 要添加的数据
+     */
+    blake3Update(state, data) {
+        const { buffer, words, v } = state;
+        let offset = 0;
+        
+        while (offset < data.length) {
+            if (state.bufferLength === 64) {
+                this.blake3LoadWords(buffer, words);
+                
+                let flags = state.flags;
+                if (state.blocksCompressed === 0) flags |= BLAKE3_CHUNK_START;
+                
+                if (state.blocksCompressed === 15) {
+                    // chunk已满：得到它的链值并合并进树中
+                    this.blake3Compress(state.chainingValue, words, state.chunkCounter, 64, flags | BLAKE3_CHUNK_END, v);
+                    this.blake3PushChunk(state, v.slice(0, 8));
+                    state.chunkCounter++;
+                    state.chainingValue = state.key.slice();
+                    state.blocksCompressed = 0;
+                } else {
+                    this.blake3Compress(state.chainingValue, words, state.chunkCounter, 64, flags, v);
+                    state.chainingValue.set(v.subarray(0, 8));
+                    state.blocksCompressed++;
+                }
+                
+                state.bufferLength = 0;
+            }
+            
+            const count = Math.min(64 - state.bufferLength, data.length - offset);
+            buffer.set(data.subarray(offset, offset + count), state.bufferLength);
+            state.bufferLength += count;
+            offset += count;
+        }
+    },
+    
+    /**
+     * 把完成的chunk链值压入栈，并合并所有已完整的子树
+     * 第n个chunk完成后，n的二进制末尾有几个0就合并几次
+     * @param {Object} state - BLAKE3状态
+     * @param {Int32Array} chainingValue - chunk链值
+     */
+    blake3PushChunk(state, chainingValue) {
+        let totalChunks = state.chunkCounter + 1;
+        let value = chainingValue;
+        
+        while (totalChunks % 2 === 0) {
+            value = this.blake3Parent(state, state.stack.pop(), value);
+            totalChunks /= 2;
+        }
+        
+        state.stack.push(value);
+    },
+    
+    // 计算父节点的链值
+    blake3Parent(state, left, right) {
+        const { words, v } = state;
+        
+        words.set(left);
+        words.set(right, 8);
+        this.blake3Compress(state.key, words, 0, 64, state.flags | BLAKE3_PARENT, v);
+        
+        return v.slice(0, 8);
+    },
+    
+    /**
+     * BLAKE3完成：从当前chunk开始自底向上合并栈中的子树，再用根节点挤出输出
+     * @param {Object} state - BLAKE3状态
+     * @param {number} outputLength - 输出字节数
+     * @returns {Uint8Array} 摘要字节
+     */
+    blake3Final(state, outputLength) {
+        const { buffer, v } = state;
+        
+        buffer.fill(0, state.bufferLength);
+        
+        // 根节点的输入：链值、消息字、计数器、长度和标志
+        let chainingValue = state.chainingValue;
+        let words = new Int32Array(16);
+        let counter = state.chunkCounter;
+        let blockLength = state.bufferLength;
+        let flags = state.flags | BLAKE3_CHUNK_END;
+        
+        if (state.blocksCompressed === 0) flags |= BLAKE3_CHUNK_START;
+        this.blake3LoadWords(buffer, words);
+        
+        for (let i = state.stack.length - 1; i >= 0; i--) {
+            this.blake3Compress(chainingValue, words, counter, blockLength, flags, v);
+            
+            const parentWords = new Int32Array(16);
+            parentWords.set(state.stack[i]);
+            parentWords.set(v.subarray(0, 8), 8);
+            
+            chainingValue = state.key;
+            words = parentWords;
+            counter = 0;
+            blockLength = 64;
+            flags = state.flags | BLAKE3_PARENT;
+        }
+        
+        const result = new Uint8Array(outputLength);
+        
+        for (let offset = 0, block = 0; offset < outputLength; offset += 64, block++) {
+            this.blake3Compress(chainingValue, words, block, blockLength, flags | BLAKE3_ROOT, v);
+            result.set(this.wordsToBytesLE(v, Math.min(64, outputLength - offset)), offset);
+        }
+        
+        return result;
+    },
+
+    /**
+     * 非加密校验和实现（CRC32、CRC32C、Adler-32、xxHash64、XXH3）
+     * 这些算法速度快，适合检测传输错误和去重，但不能防止有意篡改
+     */
+    
+    // 按多项式缓存的CRC查找表
+    crcTables: {},
+    
+    /**
+     * 获取CRC查找表（反射形式）
+     * @param {number} polynomial - 反射后的多项式（CRC32为0xEDB88320，CRC32C为0x82F63B78）
+     * @returns {Int32Array} 256项查找表
+     */
+    getCrcTable(polynomial) {
+        if (!this.crcTables[polynomial]) {
+            const table = new Int32Array(256);
+            
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (polynomial ^ (c >>> 1)) : (c >>> 1);
+                }
+                table[n] = c;
+            }
+            
+            this.crcTables[polynomial] = table;
+        }
+        
+        return this.crcTables[polynomial];
+    },
+    
+    // CRC初始状态
+    crcInit(polynomial) {
+        return {
+            table: this.getCrcTable(polynomial),
+            crc: -1
+        };
+    },
+    
+    // CRC更新
+    crcUpdate(state, data) {
+        const { table } = state;
+        let crc = state.crc;
+        
+        for (let i = 0; i < data.length; i++) {
+            crc = table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        
+        state.crc = crc;
+    },
+    
+    // CRC完成（按大端序输出，与常见工具显示一致）
+    crcFinal(state) {
+        return this.wordsToBytesBE([~state.crc], 4);
+    },
+    
+    // Adler-32初始状态
+    adler32Init() {
+        return { a: 1, b: 0 };
+    },
+    
+    // Adler-32更新（每5552字节取一次模，保证中间结果不超出安全整数范围）
+    adler32Update(state, data) {
+        const MOD = 65521;
+        let { a, b } = state;
+        
+        for (let offset = 0; offset < data.length; offset += 5552) {
+            const end = Math.min(offset + 5552, data.length);
+            
+            for (let i = offset; i < end; i++) {
+                a += data[i];
+                b += a;
+            }
+            
+            a %= MOD;
+            b %= MOD;
+        }
+        
+        state.a = a;
+        state.b = b;
+    },
+    
+    // Adler-32完成
+    adler32Final(state) {
+        return this.wordsToBytesBE([(state.b << 16) | state.a], 4);
+    },
+    
+    /**
+     * 64位乘法（结果取低64位），写入 out[index]（低32位）和 out[index + 1]（高32位）
+     * 把低32位相乘拆成16位分段计算，避免超出双精度浮点数的精确范围
+     */
+    mul64(out, index, al, ah, bl, bh) {
+        const a0 = al & 0xFFFF;
+        const a1 = al >>> 16;
+        const b0 = bl & 0xFFFF;
+        const b1 = bl >>> 16;
+        const p00 = a0 * b0;
+        const p01 = a0 * b1;
+        const p10 = a1 * b0;
+        const mid = (p00 >>> 16) + (p01 & 0xFFFF) + (p10 & 0xFFFF);
+        
+        out[index] = (mid << 16) | (p00 & 0xFFFF);
+        out[index + 1] = a1 * b1 + (p01 >>> 16) + (p10 >>> 16) + (mid >>> 16) + Math.imul(al, bh) + Math.imul(ah, bl);
+    },
+    
+    // 64位加法，把 (bl, bh) 加到 out[index]、out[index + 1] 上
+    add64(out, index, bl, bh) {
+        const lo = out[index] + bl;
+        out[index] = lo;
+        out[index + 1] = out[index + 1] + bh + (lo > 0xFFFFFFFF ? 1 : 0);
+    },
+    
+    // 读取小端序32位无符号整数
+    readUint32LE(bytes, offset) {
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    },
+    
+    // 读取小端序64位无符号整数（BigInt）
+    readUint64LE(bytes, offset) {
+        return (BigInt(this.readUint32LE(bytes, offset + 4)) << 32n) | BigInt(this.readUint32LE(bytes, offset));
+    },
+    
+    // 把BigInt按大端序转换为8个字节
+    uint64ToBytesBE(value) {
+        return this.wordsToBytesBE([Number(value >> 32n), Number(value & 0xFFFFFFFFn)], 8);
+    },
+    
+    // 64位循环左移（BigInt）
+    rotl64(value, bits) {
+        return BigInt.asUintN(64, (value << BigInt(bits)) | (value >> BigInt(64 - bits)));
+    },
+    
+    // 64位乘法，取128位结果的高64位与低64位异或（BigInt）
+    mul128Fold64(a, b) {
+        const product = a * b;
+        return BigInt.asUintN(64, product ^ (product >> 64n));
+    },
+    
+    // xxHash64 最终混合
+    xxh64Avalanche(h) {
+        h ^= h >> 33n;
+        h = BigInt.asUintN(64, h * XXH_PRIME64_2);
+        h ^= h >> 29n;
+        h = BigInt.asUintN(64, h * XXH_PRIME64_3);
+        return h ^ (h >> 32n);
+    },
+    
+    // xxHash64 对单个64位输入的处理（BigInt）
+    xxh64Round(acc, input) {
+        acc = BigInt.asUintN(64, acc + input * XXH_PRIME64_2);
+        return BigInt.asUintN(64, this.rotl64(acc, 31) * XXH_PRIME64_1);
+    },
+    
+    /**
+     * xxHash64算法实现（种子为0）
+     * 4条64位累加器（按低32位、高32位交替存放）每次处理32字节
+     */
+    
+    // xxHash64初始状态
+    xxh64Init() {
+        const lanes = new Uint32Array(8);
+        const init = [
+            XXH_PRIME64_1 + XXH_PRIME64_2,
+            XXH_PRIME64_2,
+            0n,
+            BigInt.asUintN(64, -XXH_PRIME64_1)
+        ];
+        
+        init.forEach((value, i) => {
+            lanes[i * 2] = Number(value & 0xFFFFFFFFn);
+            lanes[i * 2 + 1] = Number(value >> 32n);
+        });
+        
+        return {
+            lanes,
+            temp: new Uint32Array(2),
+            buffer: new Uint8Array(32),
+            bufferLength: 0,
+            length: 0
+        };
+    },
+    
+    // xxHash64处理32字节
+    xxh64Transform(state, block) {
+        const { lanes: v, temp: t } = state;
+        
+        for (let i = 0; i < 8; i += 2) {
+            // acc += input * PRIME64_2
+            this.mul64(t, 0, this.readUint32LE(block, i * 4), this.readUint32LE(block, i * 4 + 4), 0x27D4EB4F, 0xC2B2AE3D);
+            this.add64(v, i, t[0], t[1]);
+            
+            // acc = rotl(acc, 31)
+            const lo = v[i];
+            const hi = v[i + 1];
+            v[i] = (lo << 31) | (hi >>> 1);
+            v[i + 1] = (hi << 31) | (lo >>> 1);
+            
+            // acc *= PRIME64_1
+            this.mul64(v, i, v[i], v[i + 1], 0x85EBCA87, 0x9E3779B1);
+        }
+    },
+    
+    // xxHash64完成
+    xxh64Final(state) {
+        const { lanes, buffer } = state;
+        const length = BigInt(state.length);
+        let h;
+        
+        if (state.length >= 32) {
+            const v = [0, 2, 4, 6].map(i => (BigInt(lanes[i + 1]) << 32n) | BigInt(lanes[i]));
+            
+            h = BigInt.asUintN(64, this.rotl64(v[0], 1) + this.rotl64(v[1], 7) + this.rotl64(v[2], 12) + this.rotl64(v[3], 18));
+            v.forEach(value => {
+                h ^= this.xxh64Round(0n, value);
+                h = BigInt.asUintN(64, h * XXH_PRIME64_1 + XXH_PRIME64_4);
+            });
+        } else {
+            h = XXH_PRIME64_5;
+        }
+        
+        h = BigInt.asUintN(64, h + length);
+        
+        let offset = 0;
+        const remaining = state.bufferLength;
+        
+        for (; offset + 8 <= remaining; offset += 8) {
+            h ^= this.xxh64Round(0n, this.readUint64LE(buffer, offset));
+            h = BigInt.asUintN(64, this.rotl64(h, 27) * XXH_PRIME64_1 + XXH_PRIME64_4);
+        }
+        
+        if (offset + 4 <= remaining) {
+            h ^= BigInt.asUintN(64, BigInt(this.readUint32LE(buffer, offset)) * XXH_PRIME64_1);
+            h = BigInt.asUintN(64, this.rotl64(h, 23) * XXH_PRIME64_2 + XXH_PRIME64_3);
+            offset += 4;
+        }
+        
+        for (; offset < remaining; offset++) {
+            h ^= BigInt.asUintN(64, BigInt(buffer[offset]) * XXH_PRIME64_5);
+            h = BigInt.asUintN(64, this.rotl64(h, 11) * XXH_PRIME64_1);
+        }
+        
+        return this.uint64ToBytesBE(this.xxh64Avalanche(h));
+    },
+    
+    /**
+     * XXH3（64位输出，种子为0）算法实现
+     * 不超过240字节的输入直接用短输入算法计算；更长的输入按64字节的条带累加到8条64位累加器，
+     * 每16个条带用密钥打乱一次。缓冲区只在有更多数据到来时才处理，
+     * 保证最后一个条带（可能与之前的数据重叠）在完成时仍然可用
+     */
+    
+    // XXH3初始状态
+    xxh3Init() {
+        const acc = new Uint32Array(16);
+        const init = [
+            BigInt(XXH_PRIME32_3), XXH_PRIME64_1, XXH_PRIME64_2, XXH_PRIME64_3,
+            XXH_PRIME64_4, BigInt(XXH_PRIME32_2), XXH_PRIME64_5, BigInt(XXH_PRIME32_1)
+        ];
+        
+        init.forEach((value, i) => {
+            acc[i * 2] = Number(value & 0xFFFFFFFFn);
+            acc[i * 2 + 1] = Number(value >> 32n);
+        });
+        
+        return {
+            acc,
+            temp: new Uint32Array(2),
+            buffer: new Uint8Array(256),
+            bufferLength: 0,
+            lastStripe: new Uint8Array(64),
+            stripes: 0,
+            length: 0
+        };
+    },
+    
+    // XXH3累加一个64字节条带
+    xxh3Accumulate(state, bytes, offset, secretOffset) {
+        const { acc, temp: t } = state;
+        
+        for (let i = 0; i < 8; i++) {
+            const dataLo = this.readUint32LE(bytes, offset + i * 8);
+            const dataHi = this.readUint32LE(bytes, offset + i * 8 + 4);
+            const keyLo = (dataLo ^ this.readUint32LE(XXH3_SECRET, secretOffset + i * 8)) >>> 0;
+            const keyHi = (dataHi ^ this.readUint32LE(XXH3_SECRET, secretOffset + i * 8 + 4)) >>> 0;
+            
+            // acc[i ^ 1] += data；acc[i] += 低32位 * 高32位
+            this.add64(acc, (i ^ 1) * 2, dataLo, dataHi);
+            this.mul64(t, 0, keyLo, 0, keyHi, 0);
+            this.add64(acc, i * 2, t[0], t[1]);
+        }
+    },
+    
+    // XXH3打乱累加器
+    xxh3Scramble(state) {
+        const { acc } = state;
+        const secretOffset = XXH3_SECRET.length - 64;
+        
+        for (let i = 0; i < 16; i += 2) {
+            // acc ^= acc >> 47；acc ^= secret；acc *= PRIME32_1
+            const lo = (acc[i] ^ (acc[i + 1] >>> 15) ^ this.readUint32LE(XXH3_SECRET, secretOffset + i * 4)) >>> 0;
+            const hi = (acc[i + 1] ^ this.readUint32LE(XXH3_SECRET, secretOffset + i * 4 + 4)) >>> 0;
+            this.mul64(acc, i, lo, hi, XXH_PRIME32_1, 0);
+        }
+    },
+    
+    // XXH3处理若干个连续条带，每满16个条带打乱一次
+    xxh3ConsumeStripes(state, bytes, offset, count) {
+        for (let i = 0; i < count; i++) {
+            this.xxh3Accumulate(state, bytes, offset + i * 64, state.stripes * 8);
+            state.stripes++;
+            
+            if (state.stripes === (XXH3_SECRET.length - 64) / 8) {
+                this.xxh3Scramble(state);
+                state.stripes = 0;
+            }
+        }
+    },
+    
+    // XXH3更新
+    xxh3Update(state, data) {
+        const { buffer } = state;
+        let offset = 0;
+        
+        state.length += data.length;
+        
+        while (offset < data.length) {
+            if (state.bufferLength === buffer.length) {
+                this.xxh3ConsumeStripes(state, buffer, 0, buffer.length / 64);
+                state.lastStripe.set(buffer.subarray(buffer.length - 64));
+                state.bufferLength = 0;
+            }
+            
+            const count = Math.min(buffer.length - state.bufferLength, data.length - offset);
+            buffer.set(data.subarray(offset, offset + count), state.bufferLength);
+            state.bufferLength += count;
+            offset += count;
+        }
+    },
+    
+    // XXH3完成
+    xxh3Final(state) {
+        const { buffer } = state;
+        
+        if (state.length <= 240) {
+            return this.uint64ToBytesBE(this.xxh3HashShort(buffer.subarray(0, state.length)));
+        }
+        
+        // 处理缓冲区中除最后一个条带以外的完整条带
+        const bufferLength = state.bufferLength;
+        const stripeCount = Math.floor((bufferLength - 1) / 64);
+        this.xxh3ConsumeStripes(state, buffer, 0, stripeCount);
+        
+        // 最后一个条带取输入的最后64字节
+        let lastStripe;
+        if (bufferLength >= 64) {
+            lastStripe = buffer.subarray(bufferLength - 64, bufferLength);
+        } else {
+            lastStripe = new Uint8Array(64);
+            lastStripe.set(state.lastStripe.subarray(bufferLength));
+            lastStripe.set(buffer.subarray(0, bufferLength), 64 - bufferLength);
+        }
+        this.xxh3Accumulate(state, lastStripe, 0, XXH3_SECRET.length - 64 - 7);
+        
+        // 合并累加器
+        const acc = [];
+        for (let i = 0; i < 16; i += 2) {
+            acc.push((BigInt(state.acc[i + 1]) << 32n) | BigInt(state.acc[i]));
+        }
+        
+        let result = BigInt.asUintN(64, BigInt(state.length) * XXH_PRIME64_1);
+        for (let i = 0; i < 4; i++) {
+            result += this.mul128Fold64(
+                acc[i * 2] ^ this.readUint64LE(XXH3_SECRET, 11 + i * 16),
+                acc[i * 2 + 1] ^ this.readUint64LE(XXH3_SECRET, 11 + i * 16 + 8)
+            );
+        }
+        
+        return this.uint64ToBytesBE(this.xxh3Avalanche(BigInt.asUintN(64, result)));
+    },
+    
+    // XXH3 最终混合
+    xxh3Avalanche(h) {
+        h ^= h >> 37n;
+        h = BigInt.asUintN(64, h * 0x165667919E3779F9n);
+        return h ^ (h >> 32n);
+    },
+    
+    // XXH3 混合16字节输入
+    xxh3Mix16(bytes, offset, secretOffset) {
+        return this.mul128Fold64(
+            this.readUint64LE(bytes, offset) ^ this.readUint64LE(XXH3_SECRET, secretOffset),
+            this.readUint64LE(bytes, offset + 8) ^ this.readUint64LE(XXH3_SECRET, secretOffset + 8)
+        );
+    },
+    
+    /**
+     * XXH3短输入（0到240字节）的计算
+     * @param {Uint8Array} input - 全部输入
+     * @returns {BigInt} 64位哈希值
+     */
+    xxh3HashShort(input) {
+        const length = input.length;
+        const len = BigInt(length);
+        const secret = XXH3_SECRET;
+        
+        if (length === 0) {
+            return this.xxh64Avalanche(this.readUint64LE(secret, 56) ^ this.readUint64LE(secret, 64));
+        }
+        
+        if (length <= 3) {
+            const combined = (input[0] << 16) | (input[length >> 1] << 24) | input[length - 1] | (length << 8);
+            const bitflip = BigInt((this.readUint32LE(secret, 0) ^ this.readUint32LE(secret, 4)) >>> 0);
+            return this.xxh64Avalanche(BigInt(combined >>> 0) ^ bitflip);
+        }
+        
+        if (length <= 8) {
+            const input1 = BigInt(this.readUint32LE(input, 0));
+            const input2 = BigInt(this.readUint32LE(input, length - 4));
+            const bitflip = this.readUint64LE(secret, 8) ^ this.readUint64LE(secret, 16);
+            let h = (input2 + (input1 << 32n)) ^ bitflip;
+            
+            h ^= this.rotl64(h, 49) ^ this.rotl64(h, 24);
+            h = BigInt.asUintN(64, h * 0x9FB21C651E98DF25n);
+            h ^= (h >> 35n) + len;
+            h = BigInt.asUintN(64, h * 0x9FB21C651E98DF25n);
+            return h ^ (h >> 28n);
+        }
+        
+        if (length <= 16) {
+            const low = this.readUint64LE(input, 0) ^ this.readUint64LE(secret, 24) ^ this.readUint64LE(secret, 32);
+            const high = this.readUint64LE(input, length - 8) ^ this.readUint64LE(secret, 40) ^ this.readUint64LE(secret, 48);
+            const swapped = this.readUint64LE(this.uint64ToBytesBE(low), 0);
+            return this.xxh3Avalanche(BigInt.asUintN(64, len + swapped + high + this.mul128Fold64(low, high)));
+        }
+        
+        let acc = len * XXH_PRIME64_1;
+        
+        if (length <= 128) {
+            const pairs = length > 96 ? 4 : length > 64 ? 3 : length > 32 ? 2 : 1;
+            
+            for (let i = 0; i < pairs; i++) {
+                acc += this.xxh3Mix16(input, i * 16, i * 32);
+                acc += this.xxh3Mix16(input, length - (i + 1) * 16, i * 32 + 16);
+            }
+            
+            return this.xxh3Avalanche(BigInt.asUintN(64, acc));
+        }
+        
+        for (let i = 0; i < 8; i++) {
+            acc += this.xxh3Mix16(input, i * 16, i * 16);
+        }
+        acc = this.xxh3Avalanche(BigInt.asUintN(64, acc));
+        
+        for (let i = 8; i < Math.floor(length / 16); i++) {
+            acc += this.xxh3Mix16(input, i * 16, (i - 8) * 16 + 3);
+        }
+        acc += this.xxh3Mix16(input, length - 16, 136 - 17);
         
-        return supportedAlgorithms.includes(algorithm);
+        return this.xxh3Avalanche(BigInt.asUintN(64, acc));
     },
 
     /**
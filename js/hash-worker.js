@@ -0,0 +1,47 @@
+/**
+ * 哈希计算Web Worker
+ * 在后台线程中执行文件哈希计算，避免阻塞页面
+ */
+
+importScripts('algorithms.js', 'hash-calculator.js');
+
+// 正在执行的任务的控制对象，按任务ID索引
+const jobControls = new Map();
+
+// 接收主线程发送的计算任务和控制命令
+self.addEventListener('message', async (e) => {
+    const { type, jobId, file, algorithms, options } = e.data;
+
+    switch (type) {
+        case 'pause':
+        case 'resume':
+        case 'cancel':
+            if (jobControls.has(jobId)) {
+                jobControls.get(jobId)[type]();
+            }
+            return;
+        case 'hash':
+            break;
+        default:
+            return;
+    }
+
+    const control = HashCalculator.createCalculationControl();
+    jobControls.set(jobId, control);
+
+    try {
+        const result = await HashCalculator.calculateMultipleHashes(file, algorithms, {
+            ...options,
+            control,
+            onProgress: (progress) => {
+                self.postMessage({ type: 'progress', jobId, progress });
+            }
+        });
+
+        self.postMessage({ type: 'result', jobId, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, name: error.name, message: error.message });
+    } finally {
+        jobControls.delete(jobId);
+    }
+});
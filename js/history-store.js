@@ -0,0 +1,125 @@
+/**
+ * 历史记录模块
+ * 负责把每次计算的结果保存到浏览器的 IndexedDB 中（需要在设置中开启），
+ * 每条记录对应一次计算，包含计算参数、目录树摘要和各文件的结果
+ */
+
+// 历史记录对象
+const HistoryStore = {
+    // 数据库名称和版本
+    dbName: 'hashCalculatorHistory',
+    dbVersion: 1,
+
+    // 保存计算记录的对象仓库
+    storeName: 'runs',
+
+    // 打开数据库的 Promise，第一次使用时创建
+    dbPromise: null,
+
+    /**
+     * 检查浏览器是否支持 IndexedDB
+     * @returns {boolean} 是否支持
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * 打开数据库，第一次打开时创建对象仓库
+     * @returns {Promise<IDBDatabase>} 数据库
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('历史记录数据库被其他页面占用，请关闭其他标签页后重试'));
+            });
+
+            // 打开失败后允许下次重试
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    },
+
+    /**
+     * 在一个事务中操作对象仓库，事务完成后返回请求的结果
+     * @param {string} mode - 事务模式 ('readonly' 或 'readwrite')
+     * @param {Function} operation - 接收对象仓库并返回 IDBRequest 的函数
+     * @returns {Promise<*>} 请求的结果
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('历史记录操作已取消'));
+        });
+    },
+
+    /**
+     * 保存一次计算
+     * @param {Object} run - 计算记录 { timestamp, info, treeDigest, results }
+     * @returns {Promise<number>} 记录编号
+     */
+    addRun(run) {
+        return this.transaction('readwrite', store => store.add(run));
+    },
+
+    /**
+     * 获取所有计算记录，最近的记录排在前面
+     * @returns {Promise<Array<Object>>} 计算记录数组
+     */
+    async getRuns() {
+        const runs = await this.transaction('readonly', store => store.index('timestamp').getAll());
+        return runs.reverse();
+    },
+
+    /**
+     * 删除一条计算记录
+     * @param {number} id - 记录编号
+     * @returns {Promise<void>}
+     */
+    deleteRun(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    },
+
+    /**
+     * 删除所有计算记录
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    },
+
+    /**
+     * 判断计算记录是否与搜索词匹配，并返回匹配的文件
+     * 搜索词与文件名、相对路径或任一哈希值的一部分相同即为匹配，不区分大小写
+     * @param {Object} run - 计算记录
+     * @param {string} query - 搜索词
+     * @returns {Array<Object>} 匹配的文件结果，搜索词为空时返回所有文件
+     */
+    filterResults(run, query) {
+        const keyword = query.trim().toLowerCase();
+        if (!keyword) return run.results;
+
+        return run.results.filter(result =>
+            result.path.toLowerCase().includes(keyword) ||
+            result.filename.toLowerCase().includes(keyword) ||
+            Object.values(result.hashValues).some(hash => String(hash).toLowerCase().includes(keyword))
+        );
+    }
+};
@@ -3,6 +3,12 @@
  * 负责初始化各个模块和启动应用
  */
 
+// 应用信息，写入导出结果的元数据，并显示在帮助页面中
+const AppInfo = {
+    name: 'FileHashCalculator',
+    version: '1.0.0'
+};
+
 // 当DOM加载完成后初始化应用
 document.addEventListener('DOMContentLoaded', () => {
     // 初始化各个模块
@@ -10,6 +16,9 @@ document.addEventListener('DOMContentLoaded', () => {
     FileHandler.init();
     UI.init();
     
+    // 显示版本号
+    document.getElementById('app-version').textContent = AppInfo.version;
+    
     // 渲染Lucide图标
     lucide.createIcons();
     
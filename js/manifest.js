@@ -0,0 +1,373 @@
+/**
+ * 校验清单模块
+ * 负责解析 sha256sum / md5sum 等工具生成的校验清单（SHA256SUMS、*.md5、*.sha1 等），
+ * 以及把计算结果导出为这些工具可以直接验证的清单
+ */
+
+// 校验清单对象
+const ChecksumManifest = {
+    // 清单文件名中常见的算法简写
+    nameAliases: {
+        b2: 'blake2b',
+        blake2: 'blake2b',
+        b3: 'blake3'
+    },
+
+    // 与 coreutils 习惯一致的清单文件名，其余算法使用 “算法标识大写 + SUMS”
+    sumsFileNames: {
+        blake2b: 'B2SUMS',
+        blake3: 'B3SUMS'
+    },
+
+    // 与 BSD 系统的命令输出一致的标签，其余算法由显示名称去掉 “SHA-” 中的连字符得到
+    bsdTags: {
+        'sha512-256': 'SHA512t256'
+    },
+
+    // 按摘要长度（十六进制字符数）推测算法，长度相同时取最常见的算法
+    lengthDefaults: {
+        8: 'crc32',
+        16: 'xxh64',
+        32: 'md5',
+        40: 'sha1',
+        56: 'sha224',
+        64: 'sha256',
+        96: 'sha384',
+        128: 'sha512'
+    },
+
+    /**
+     * 解析校验清单
+     * 支持 GNU coreutils 格式（“哈希值  文件名”，文件名前的 * 表示二进制模式，也接受只有一个空格的写法）
+     * 和 BSD 格式（“SHA256 (文件名) = 哈希值”）
+     * @param {string} text - 清单内容
+     * @param {Object} options - 选项
+     * @param {string} options.manifestName - 清单文件名，用于推测算法（可选）
+     * @param {string} options.algorithm - 强制使用的算法（可选，默认自动检测）
+     * @returns {Object} { entries: [{ path, algorithm, hash, binary, line }], invalidLines: [行号] }
+     */
+    parse(text, options = {}) {
+        const { manifestName = '', algorithm = null } = options;
+        const nameAlgorithm = this.detectAlgorithmFromName(manifestName);
+        const entries = [];
+        const invalidLines = [];
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            const line = rawLine.trim();
+
+            // 跳过空行和注释
+            if (!line || line.startsWith('#')) return;
+
+            const entry = this.parseBsdLine(line) || this.parseGnuLine(line);
+            if (!entry) {
+                invalidLines.push(lineNumber);
+                return;
+            }
+
+            // 确定算法：手动指定 > BSD 标签 > 清单文件名 > 摘要长度
+            const entryAlgorithm = algorithm || entry.algorithm || nameAlgorithm || this.detectAlgorithmFromLength(entry.hash);
+            const info = AlgorithmRegistry.get(entryAlgorithm);
+
+            if (!info || !this.matchesLength(info, entry.hash, entry.outputLength)) {
+                invalidLines.push(lineNumber);
+                return;
+            }
+
+            entries.push({
+                path: entry.path,
+                algorithm: info.id,
+                // 可变长度算法按清单中的摘要长度计算
+                outputLength: info.variableLength ? entry.hash.length / 2 : null,
+                hash: entry.hash.toLowerCase(),
+                binary: entry.binary,
+                line: lineNumber
+            });
+        });
+
+        return { entries, invalidLines };
+    },
+
+    /**
+     * 解析 GNU coreutils 格式的行
+     * 以反斜杠开头的行表示文件名中的反斜杠和换行符被转义过
+     * @param {string} line - 一行内容
+     * @returns {Object|null} 解析结果，格式不符时返回 null
+     */
+    parseGnuLine(line) {
+        const escaped = line.startsWith('\\');
+        const match = (escaped ? line.substring(1) : line).match(/^([0-9a-fA-F]+)\s([ *]?)(.+)$/);
+        if (!match) return null;
+
+        const [, hash, mode, path] = match;
+
+        return {
+            path: escaped ? this.unescapePath(path) : path,
+            hash,
+            algorithm: null,
+            binary: mode === '*'
+        };
+    },
+
+    /**
+     * 解析 BSD 格式的行，例如 “SHA256 (file.iso) = abcd...”
+     * 也接受 OpenSSL 的 “SHA256(file.iso)= abcd...” 写法和 b2sum 的 “BLAKE2b-256 (file) = ...”
+     * @param {string} line - 一行内容
+     * @returns {Object|null} 解析结果，格式不符时返回 null
+     */
+    parseBsdLine(line) {
+        const escaped = line.startsWith('\\');
+        const match = (escaped ? line.substring(1) : line).match(/^([A-Za-z0-9/-]+) ?\((.*)\) ?= ?([0-9a-fA-F]+)$/);
+        if (!match) return null;
+
+        const [, tag, path, hash] = match;
+        const tagged = this.detectAlgorithmFromTag(tag);
+        if (!tagged) return null;
+
+        return {
+            path: escaped ? this.unescapePath(path) : path,
+            hash,
+            algorithm: tagged.algorithm,
+            outputLength: tagged.outputLength,
+            binary: true
+        };
+    },
+
+    /**
+     * 还原 coreutils 转义过的文件名（\\ 表示反斜杠，\n 表示换行，\r 表示回车）
+     * @param {string} path - 转义后的文件名
+     * @returns {string} 原始文件名
+     */
+    unescapePath(path) {
+        return path.replace(/\\(.)/g, (match, char) => {
+            if (char === 'n') return '\n';
+            if (char === 'r') return '\r';
+            return char;
+        });
+    },
+
+    /**
+     * 把算法名称规范化为只含小写字母和数字的形式，便于比较（如 'SHA-256' → 'sha256'）
+     * @param {string} name - 算法名称
+     * @returns {string} 规范化后的名称
+     */
+    normalizeName(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+    },
+
+    /**
+     * 根据 BSD 格式的标签确定算法
+     * 标签末尾的 “-位数” 表示可变长度算法的输出长度（如 b2sum 的 BLAKE2b-256）
+     * @param {string} tag - 标签
+     * @returns {Object|null} { algorithm, outputLength }，无法识别时返回 null
+     */
+    detectAlgorithmFromTag(tag) {
+        const algorithms = AlgorithmRegistry.list().filter(algorithm => !algorithm.keyed);
+        const normalized = this.normalizeName(tag);
+
+        const exact = algorithms.find(algorithm =>
+            this.normalizeName(algorithm.label) === normalized ||
+            (algorithm.aliases || []).some(alias => this.normalizeName(alias) === normalized)
+        );
+        if (exact) {
+            return { algorithm: exact.id, outputLength: null };
+        }
+
+        const sized = tag.match(/^(.+)-(\d+)$/);
+        if (sized) {
+            const base = algorithms.find(algorithm =>
+                algorithm.variableLength && this.normalizeName(algorithm.label) === this.normalizeName(sized[1])
+            );
+            const bits = parseInt(sized[2], 10);
+
+            if (base && bits % 8 === 0) {
+                return { algorithm: base.id, outputLength: bits / 8 };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * 根据清单文件名推测算法，例如 SHA256SUMS、release.sha1、files.md5、B2SUMS
+     * @param {string} name - 清单文件名
+     * @returns {string|null} 算法标识，无法推测时返回 null
+     */
+    detectAlgorithmFromName(name) {
+        if (!name) return null;
+
+        const baseName = name.split(/[\\/]/).pop().toLowerCase();
+        const candidates = [baseName.split('.').pop(), baseName.replace(/\.txt$/, '')]
+            .map(candidate => candidate.replace(/sums?$/, ''));
+
+        for (const candidate of candidates) {
+            const normalized = this.normalizeName(candidate);
+            if (this.nameAliases[normalized]) {
+                return this.nameAliases[normalized];
+            }
+
+            const algorithm = AlgorithmRegistry.list().find(item =>
+                !item.keyed && (this.normalizeName(item.id) === normalized || this.normalizeName(item.label) === normalized)
+            );
+            if (algorithm) {
+                return algorithm.id;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * 根据摘要长度推测算法
+     * @param {string} hash - 十六进制摘要
+     * @returns {string|null} 算法标识
+     */
+    detectAlgorithmFromLength(hash) {
+        return this.lengthDefaults[hash.length] || null;
+    },
+
+    /**
+     * 检查摘要长度是否与算法一致
+     * @param {Object} info - 算法信息
+     * @param {string} hash - 十六进制摘要
+     * @param {number} outputLength - 标签中给出的输出长度（字节，可选）
+     * @returns {boolean} 是否一致
+     */
+    matchesLength(info, hash, outputLength) {
+        if (hash.length % 2 !== 0) return false;
+
+        const bytes = hash.length / 2;
+
+        if (outputLength) {
+            return bytes === outputLength;
+        }
+
+        if (info.variableLength) {
+            return AlgorithmRegistry.isValidOutputLength(info.id, bytes);
+        }
+
+        return bytes === info.digestLength;
+    },
+
+    /**
+     * 规范化清单中的文件路径，便于与选中的文件匹配
+     * @param {string} path - 文件路径
+     * @returns {string} 使用 / 分隔、去掉开头 ./ 的路径
+     */
+    normalizePath(path) {
+        return path.replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+    },
+
+    /**
+     * 转义文件名中的反斜杠和换行符，规则与 coreutils 相同
+     * @param {string} path - 原始文件名
+     * @returns {string} 转义后的文件名
+     */
+    escapePath(path) {
+        return path.replace(/[\\\n\r]/g, char => {
+            if (char === '\n') return '\\n';
+            if (char === '\r') return '\\r';
+            return '\\\\';
+        });
+    },
+
+    /**
+     * 获取结果中可以导出为校验清单的算法
+     * HMAC 和带密钥的 BLAKE 需要密钥才能验证，sha256sum、b2sum 等工具无法使用，因此不导出
+     * @param {Array} results - 计算结果数组
+     * @param {Array<string>} keyedAlgorithms - 本次计算中使用了密钥的算法
+     * @returns {Array} 算法标识数组，按首次出现的顺序排列
+     */
+    getExportableAlgorithms(results, keyedAlgorithms = []) {
+        const algorithms = new Set();
+        results.forEach(result => {
+            Object.keys(result.hashValues).forEach(algorithm => algorithms.add(algorithm));
+        });
+
+        return Array.from(algorithms).filter(algorithm => {
+            const info = AlgorithmRegistry.get(algorithm);
+            return info && !info.keyed && !keyedAlgorithms.includes(algorithm);
+        });
+    },
+
+    /**
+     * 获取某个文件在指定算法下的十六进制摘要（统一为小写）
+     * @param {Object} result - 单个文件的计算结果
+     * @param {string} algorithm - 算法标识
+     * @returns {string|null} 摘要，计算失败或未计算时返回 null
+     */
+    getHexDigest(result, algorithm) {
+        const hash = result.hashValues[algorithm];
+        return typeof hash === 'string' && /^[0-9a-fA-F]+$/.test(hash) ? hash.toLowerCase() : null;
+    },
+
+    /**
+     * 获取算法对应的清单文件名，例如 SHA256SUMS、MD5SUMS、B2SUMS
+     * @param {string} algorithm - 算法标识
+     * @returns {string} 文件名
+     */
+    getSumsFileName(algorithm) {
+        return this.sumsFileNames[algorithm] || `${algorithm.toUpperCase()}SUMS`;
+    },
+
+    /**
+     * 获取 BSD 格式使用的标签，例如 SHA256、SHA512t256、SHA3-256、BLAKE2b-256
+     * 可变长度算法的输出长度不是默认值时，在标签后附加 “-位数”
+     * @param {string} algorithm - 算法标识
+     * @param {string} hash - 十六进制摘要
+     * @returns {string} 标签
+     */
+    getBsdTag(algorithm, hash) {
+        const info = AlgorithmRegistry.get(algorithm);
+        const tag = this.bsdTags[algorithm] || info.label.replace(/^SHA-/, 'SHA');
+        const bytes = hash.length / 2;
+
+        return info.variableLength && bytes !== info.digestLength ? `${tag}-${bytes * 8}` : tag;
+    },
+
+    /**
+     * 生成单个算法的 GNU coreutils 格式清单（“哈希值  文件名”），可直接用 sha256sum -c 等命令验证
+     * @param {Array} results - 计算结果数组
+     * @param {string} algorithm - 算法标识
+     * @returns {string} 清单内容，没有可导出的摘要时返回空字符串
+     */
+    formatGnu(results, algorithm) {
+        let content = '';
+
+        results.forEach(result => {
+            const hash = this.getHexDigest(result, algorithm);
+            if (!hash) return;
+
+            const path = this.escapePath(result.path);
+            // 文件名被转义过时，整行以反斜杠开头
+            const prefix = path !== result.path ? '\\' : '';
+            content += `${prefix}${hash}  ${path}\n`;
+        });
+
+        return content;
+    },
+
+    /**
+     * 生成 BSD 格式清单（“SHA256 (文件名) = 哈希值”），多个算法的结果可以放在同一个文件中
+     * @param {Array} results - 计算结果数组
+     * @param {Array} algorithms - 算法标识数组
+     * @returns {string} 清单内容，没有可导出的摘要时返回空字符串
+     */
+    formatBsd(results, algorithms) {
+        let content = '';
+
+        results.forEach(result => {
+            const path = this.escapePath(result.path);
+            const prefix = path !== result.path ? '\\' : '';
+
+            algorithms.forEach(algorithm => {
+                const hash = this.getHexDigest(result, algorithm);
+                if (!hash) return;
+
+                content += `${prefix}${this.getBsdTag(algorithm, hash)} (${path}) = ${hash}\n`;
+            });
+        });
+
+        return content;
+    }
+};
@@ -0,0 +1,244 @@
+/**
+ * 基准结果模块
+ * 负责读取以前导出的结果（JSON、NDJSON、CSV 或校验清单）作为基准，
+ * 并把当前文件的哈希值与基准比较，找出已变化、新增和缺失的文件
+ */
+
+// 基准结果对象
+const ReferenceSet = {
+    /**
+     * 解析以前导出的结果
+     * @param {string} text - 文件内容
+     * @param {string} fileName - 文件名，用于判断格式和推测校验清单的算法
+     * @returns {Object} { format, entries: [{ path, size, hashes: { 算法: 哈希值 } }], skippedAlgorithms: [算法] }
+     */
+    parse(text, fileName = '') {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            throw new Error('文件内容为空');
+        }
+
+        let parsed;
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            parsed = this.parseJson(trimmed);
+        } else if (/\.csv$/i.test(fileName) || trimmed.startsWith('文件名,')) {
+            parsed = this.parseCsv(trimmed);
+        } else {
+            parsed = this.parseManifest(text, fileName);
+        }
+
+        if (parsed.entries.length === 0) {
+            throw new Error('没有找到可用的文件记录');
+        }
+
+        return parsed;
+    },
+
+    /**
+     * 解析 JSON 或 NDJSON 格式的导出结果
+     * 需要密钥的算法（HMAC 和带密钥的 BLAKE）无法重新计算，记录在 skippedAlgorithms 中
+     * @param {string} text - 文件内容
+     * @returns {Object} 解析结果
+     */
+    parseJson(text) {
+        let format = 'json';
+        let records;
+        let algorithms = [];
+
+        try {
+            const data = JSON.parse(text);
+            records = Array.isArray(data) ? data : (data.files || []);
+            algorithms = data.algorithms || [];
+        } catch (error) {
+            // 整体不是合法 JSON 时按每行一个对象解析
+            format = 'ndjson';
+            const lines = text.split(/\r?\n/).filter(line => line.trim()).map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch (lineError) {
+                    throw new Error(`第 ${index + 1} 行不是有效的 JSON`);
+                }
+            });
+            const run = lines.find(line => line.type === 'run');
+
+            records = lines.filter(line => line.type !== 'run');
+            algorithms = run ? run.algorithms || [] : [];
+        }
+
+        const keyedAlgorithms = algorithms.filter(algorithm => algorithm.keyed).map(algorithm => algorithm.id);
+        const entries = new Map();
+        const skipped = new Set();
+
+        records.forEach(record => {
+            const path = record.path || record.name;
+            if (!path || !record.hashes) return;
+
+            const size = Number.isFinite(record.size) ? record.size : null;
+
+            Object.entries(record.hashes).forEach(([algorithm, hash]) => {
+                if (keyedAlgorithms.includes(algorithm) || (AlgorithmRegistry.get(algorithm) || {}).keyed) {
+                    skipped.add(algorithm);
+                    return;
+                }
+                this.addHash(entries, path, size, algorithm, hash);
+            });
+        });
+
+        return { format, entries: Array.from(entries.values()), skippedAlgorithms: Array.from(skipped) };
+    },
+
+    /**
+     * 解析 CSV 格式的导出结果
+     * CSV 中的文件大小是格式化后的字符串，无法还原为字节数，因此不参与比较
+     * @param {string} text - 文件内容
+     * @returns {Object} 解析结果
+     */
+    parseCsv(text) {
+        const [header = [], ...rows] = this.parseCsvRows(text);
+        const entries = new Map();
+        const skipped = new Set();
+
+        // 按表头中的算法显示名称确定每一列的算法
+        const columns = header.map(label => {
+            const algorithm = AlgorithmRegistry.list().find(item => item.label === label.trim());
+            if (algorithm && algorithm.keyed) {
+                skipped.add(algorithm.id);
+                return null;
+            }
+            return algorithm ? algorithm.id : null;
+        });
+
+        rows.forEach(row => {
+            const path = row[0];
+            if (!path) return;
+
+            columns.forEach((algorithm, index) => {
+                if (algorithm && row[index]) {
+                    this.addHash(entries, path, null, algorithm, row[index].trim());
+                }
+            });
+        });
+
+        return { format: 'csv', entries: Array.from(entries.values()), skippedAlgorithms: Array.from(skipped) };
+    },
+
+    /**
+     * 把 CSV 内容拆分为行和字段，支持用双引号包裹的字段
+     * @param {string} text - CSV 内容
+     * @returns {Array<Array<string>>} 行数组
+     */
+    parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(fields => fields.some(value => value !== ''));
+    },
+
+    /**
+     * 解析校验清单（GNU coreutils 或 BSD 格式）
+     * @param {string} text - 清单内容
+     * @param {string} fileName - 清单文件名
+     * @returns {Object} 解析结果
+     */
+    parseManifest(text, fileName) {
+        const entries = new Map();
+
+        ChecksumManifest.parse(text, { manifestName: fileName }).entries.forEach(entry => {
+            this.addHash(entries, entry.path, null, entry.algorithm, entry.hash);
+        });
+
+        return { format: 'manifest', entries: Array.from(entries.values()), skippedAlgorithms: [] };
+    },
+
+    /**
+     * 把一个哈希值加入对应路径的记录，忽略未知算法和计算失败的值
+     * @param {Map} entries - 以规范化路径为键的记录
+     * @param {string} path - 文件路径
+     * @param {number|null} size - 文件大小（字节）
+     * @param {string} algorithm - 算法标识
+     * @param {string} hash - 哈希值
+     */
+    addHash(entries, path, size, algorithm, hash) {
+        const info = AlgorithmRegistry.get(algorithm);
+        if (!info || typeof hash !== 'string' || !/^[0-9a-fA-F]+$/.test(hash)) return;
+
+        const normalized = ChecksumManifest.normalizePath(path);
+        if (!entries.has(normalized)) {
+            entries.set(normalized, { path: normalized, size, hashes: {} });
+        }
+
+        entries.get(normalized).hashes[info.id] = hash.toLowerCase();
+    },
+
+    /**
+     * 获取重新计算某条记录时可变长度算法的输出长度（与基准中的摘要长度一致）
+     * @param {Object} entry - 基准记录
+     * @returns {Object} 算法到输出长度（字节）的映射
+     */
+    getOutputLengths(entry) {
+        const outputLengths = {};
+
+        Object.entries(entry.hashes).forEach(([algorithm, hash]) => {
+            if (AlgorithmRegistry.get(algorithm).variableLength) {
+                outputLengths[algorithm] = hash.length / 2;
+            }
+        });
+
+        return outputLengths;
+    },
+
+    /**
+     * 比较一条基准记录与当前文件
+     * @param {Object} entry - 基准记录
+     * @param {number} size - 当前文件大小（字节）
+     * @param {Object|null} hashValues - 当前文件的哈希值，文件大小已经不同时可以为 null
+     * @returns {Object} { status: 'unchanged' | 'changed', sizeChanged, changes: [{ algorithm, expected, actual }] }
+     */
+    compare(entry, size, hashValues) {
+        const sizeChanged = entry.size !== null && entry.size !== size;
+        const changes = hashValues
+            ? Object.entries(entry.hashes)
+                .filter(([algorithm, hash]) => !Utils.compareHashes(hash, hashValues[algorithm]))
+                .map(([algorithm, hash]) => ({ algorithm, expected: hash, actual: hashValues[algorithm] }))
+            : [];
+
+        return {
+            status: sizeChanged || changes.length > 0 ? 'changed' : 'unchanged',
+            sizeChanged,
+            changes
+        };
+    }
+};
@@ -9,7 +9,25 @@ const DEFAULT_SETTINGS = {
     chunkSize: 524288, // 512 KB
     resultFormat: 'lowercase',
     exportFormat: 'txt',
-    theme: 'light' // 'light' 或 'dark'
+    useWorkers: true, // 在后台线程中计算
+    workerConcurrency: Math.min(navigator.hardwareConcurrency || 2, 4), // 同时计算的文件数
+    theme: 'light', // 'light' 或 'dark'
+    saveHistory: false, // 把计算结果保存到 IndexedDB 历史记录中
+    useHashCache: false, // 缓存哈希值，跳过大小和修改时间都没有变化的文件
+    // 当前使用的文件过滤规则，大小以字节为单位，null 表示不限制
+    fileFilter: {
+        enabled: false,
+        include: '',
+        exclude: '',
+        excludeHidden: false,
+        minSize: null,
+        maxSize: null
+    },
+    // 保存的过滤规则预设
+    filterPresets: [
+        { name: '排除依赖和版本库', include: '', exclude: 'node_modules/**\n.git/**\n*.tmp', excludeHidden: true, minSize: null, maxSize: null },
+        { name: '只计算磁盘镜像', include: '**/*.{iso,img}', exclude: '', excludeHidden: false, minSize: null, maxSize: null }
+    ]
 };
 
 // 设置管理对象
@@ -77,6 +95,17 @@ const SettingsManager = {
         // 应用导出格式设置
         document.getElementById('export-format').value = this.currentSettings.exportFormat;
         document.getElementById('export-format-modal').value = this.currentSettings.exportFormat;
+        
+        // 应用后台线程设置
+        document.getElementById('use-workers').checked = this.currentSettings.useWorkers;
+        document.getElementById('worker-concurrency').value = this.currentSettings.workerConcurrency.toString();
+        
+        // 应用历史记录设置
+        document.getElementById('save-history').checked = this.currentSettings.saveHistory;
+        
+        // 应用哈希缓存设置，开启缓存时才显示“强制全部重新计算”选项
+        document.getElementById('use-hash-cache').checked = this.currentSettings.useHashCache;
+        document.getElementById('force-rehash-option').classList.toggle('hidden', !this.currentSettings.useHashCache);
     },
     
     /**
@@ -119,6 +148,28 @@ const SettingsManager = {
         this.currentSettings[key] = value;
     },
     
+    /**
+     * 保存过滤规则预设，同名预设会被覆盖
+     * @param {Object} preset - 预设 { name, include, exclude, excludeHidden, minSize, maxSize }
+     * @returns {boolean} 是否保存成功
+     */
+    saveFilterPreset(preset) {
+        const presets = this.currentSettings.filterPresets.filter(item => item.name !== preset.name);
+        presets.push({ ...preset });
+        this.currentSettings.filterPresets = presets;
+        return this.saveSettings();
+    },
+    
+    /**
+     * 删除过滤规则预设
+     * @param {string} name - 预设名称
+     * @returns {boolean} 是否保存成功
+     */
+    deleteFilterPreset(name) {
+        this.currentSettings.filterPresets = this.currentSettings.filterPresets.filter(item => item.name !== name);
+        return this.saveSettings();
+    },
+    
     /**
      * 设置事件监听器
      */
@@ -143,6 +194,11 @@ const SettingsManager = {
             this.toggleTheme();
         });
         
+        // 清除哈希缓存
+        document.getElementById('clear-hash-cache').addEventListener('click', () => {
+            this.clearHashCache();
+        });
+        
         // 点击弹窗外部关闭弹窗
         document.getElementById('settings-modal').addEventListener('click', (e) => {
             if (e.target.id === 'settings-modal') {
@@ -151,6 +207,24 @@ const SettingsManager = {
         });
     },
     
+    /**
+     * 清除所有缓存的哈希值，下次计算时重新读取所有文件
+     */
+    async clearHashCache() {
+        if (!HashCache.isSupported()) {
+            UI.showNotification('无法清除', '当前浏览器不支持 IndexedDB', 'warning');
+            return;
+        }
+        
+        try {
+            await HashCache.clear();
+            UI.showNotification('缓存已清除', '下次计算时将重新读取所有文件', 'success');
+        } catch (error) {
+            console.error('清除哈希缓存失败:', error);
+            UI.showNotification('清除失败', error.message, 'error');
+        }
+    },
+    
     /**
      * 打开设置弹窗
      */
@@ -160,6 +234,10 @@ const SettingsManager = {
         document.getElementById('chunk-size').value = this.currentSettings.chunkSize.toString();
         document.getElementById('result-format').value = this.currentSettings.resultFormat;
         document.getElementById('export-format').value = this.currentSettings.exportFormat;
+        document.getElementById('use-workers').checked = this.currentSettings.useWorkers;
+        document.getElementById('worker-concurrency').value = this.currentSettings.workerConcurrency.toString();
+        document.getElementById('save-history').checked = this.currentSettings.saveHistory;
+        document.getElementById('use-hash-cache').checked = this.currentSettings.useHashCache;
         
         // 显示弹窗
         document.getElementById('settings-modal').classList.remove('hidden');
@@ -181,6 +259,11 @@ const SettingsManager = {
         this.currentSettings.chunkSize = parseInt(document.getElementById('chunk-size').value, 10);
         this.currentSettings.resultFormat = document.getElementById('result-format').value;
         this.currentSettings.exportFormat = document.getElementById('export-format').value;
+        this.currentSettings.useWorkers = document.getElementById('use-workers').checked;
+        this.currentSettings.workerConcurrency = parseInt(document.getElementById('worker-concurrency').value, 10);
+        this.currentSettings.saveHistory = document.getElementById('save-history').checked;
+        this.currentSettings.useHashCache = document.getElementById('use-hash-cache').checked;
+        document.getElementById('force-rehash-option').classList.toggle('hidden', !this.currentSettings.useHashCache);
         
         // 保存设置
         if (this.saveSettings()) {
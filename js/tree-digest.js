@@ -0,0 +1,150 @@
+/**
+ * 目录树摘要模块
+ * 负责根据各文件的相对路径和哈希值计算代表整个目录树的摘要（Merkle 树根），
+ * 两份内容和目录结构都相同的文件夹得到相同的摘要
+ *
+ * 计算方法（第 1 版，修改会导致摘要变化，不要随意改动）：
+ * 1. 所有路径使用 / 分隔；如果所有文件都位于同一个顶层文件夹中，去掉这一级文件夹名，
+ *    因此文件夹改名不影响摘要
+ * 2. 路径按 UTF-8 字节顺序排序
+ * 3. 叶子节点 = H(0x00 || 路径的 UTF-8 字节数（4 字节大端序）|| 路径的 UTF-8 字节 || 文件摘要的字节)
+ * 4. 有 n 个节点时（n > 1），k 为小于 n 的最大的 2 的幂，
+ *    父节点 = H(0x01 || 前 k 个节点的树根 || 其余节点的树根)，与 RFC 6962 的 Merkle 树相同
+ * H 与文件摘要使用同一种算法和同样的输出长度。非加密校验和与需要密钥的算法不计算目录树摘要
+ */
+
+// 目录树摘要对象
+const TreeDigest = {
+    // 计算方法的版本，写入导出结果
+    version: 1,
+
+    /**
+     * 获取可以计算目录树摘要的算法
+     * 所有文件都计算成功的加密哈希算法才参与计算
+     * @param {Array} results - 计算结果数组
+     * @param {Array<string>} keyedAlgorithms - 使用了密钥的算法
+     * @returns {Array<string>} 算法数组
+     */
+    getSupportedAlgorithms(results, keyedAlgorithms = []) {
+        if (results.length === 0) return [];
+
+        return Object.keys(results[0].hashValues).filter(algorithm => {
+            const info = AlgorithmRegistry.get(algorithm);
+            if (!info || info.keyed || info.nonCryptographic || keyedAlgorithms.includes(algorithm)) return false;
+
+            return results.every(result => /^[0-9a-fA-F]+$/.test(result.hashValues[algorithm] || ''));
+        });
+    },
+
+    /**
+     * 去掉所有路径共同的顶层文件夹
+     * @param {Array<string>} paths - 相对路径数组
+     * @returns {Object} { root: 去掉的文件夹名（没有时为空字符串）, paths: 去掉后的路径 }
+     */
+    stripCommonRoot(paths) {
+        const normalized = paths.map(path => ChecksumManifest.normalizePath(path));
+        const first = normalized[0] || '';
+        const root = first.includes('/') ? first.split('/')[0] : '';
+
+        if (!root || !normalized.every(path => path.startsWith(`${root}/`))) {
+            return { root: '', paths: normalized };
+        }
+
+        return { root, paths: normalized.map(path => path.substring(root.length + 1)) };
+    },
+
+    /**
+     * 按字节顺序比较两个字节数组
+     * @param {Uint8Array} a - 字节数组
+     * @param {Uint8Array} b - 字节数组
+     * @returns {number} 比较结果
+     */
+    compareBytes(a, b) {
+        const length = Math.min(a.length, b.length);
+
+        for (let i = 0; i < length; i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+
+        return a.length - b.length;
+    },
+
+    /**
+     * 计算一段数据的摘要
+     * @param {string} algorithm - 算法名称
+     * @param {number} outputLength - 输出字节数
+     * @param {Array<Uint8Array>} parts - 依次送入的数据
+     * @returns {Promise<Uint8Array>} 摘要字节
+     */
+    async hashParts(algorithm, outputLength, parts) {
+        const hashObj = HashCalculator.createJsHashInstance(algorithm, { outputLength });
+
+        for (const part of parts) {
+            await HashCalculator.updateHash(hashObj, part);
+        }
+
+        return new Uint8Array(await HashCalculator.finalizeHash(hashObj));
+    },
+
+    /**
+     * 计算节点列表的 Merkle 树根
+     * @param {string} algorithm - 算法名称
+     * @param {number} outputLength - 输出字节数
+     * @param {Array<Uint8Array>} nodes - 叶子节点
+     * @returns {Promise<Uint8Array>} 树根
+     */
+    async merkleRoot(algorithm, outputLength, nodes) {
+        if (nodes.length === 1) return nodes[0];
+
+        let split = 1;
+        while (split * 2 < nodes.length) split *= 2;
+
+        const left = await this.merkleRoot(algorithm, outputLength, nodes.slice(0, split));
+        const right = await this.merkleRoot(algorithm, outputLength, nodes.slice(split));
+
+        return this.hashParts(algorithm, outputLength, [new Uint8Array([1]), left, right]);
+    },
+
+    /**
+     * 计算目录树摘要
+     * @param {Array} results - 计算结果数组（需要包含 path 和 hashValues）
+     * @param {Object} options - 选项
+     * @param {Array<string>} options.keyedAlgorithms - 使用了密钥的算法，不参与计算
+     * @param {string} options.resultFormat - 结果格式 ('lowercase' 或 'uppercase')
+     * @returns {Promise<Object|null>} { version, root, fileCount, digests: { 算法: 摘要 } }，没有可用算法时返回 null
+     */
+    async calculate(results, options = {}) {
+        const { keyedAlgorithms = [], resultFormat = 'lowercase' } = options;
+        const algorithms = this.getSupportedAlgorithms(results, keyedAlgorithms);
+        if (algorithms.length === 0) return null;
+
+        const encoder = new TextEncoder();
+        const { root, paths } = this.stripCommonRoot(results.map(result => result.path));
+        const entries = results
+            .map((result, index) => ({ result, pathBytes: encoder.encode(paths[index]) }))
+            .sort((a, b) => this.compareBytes(a.pathBytes, b.pathBytes));
+        const digests = {};
+
+        for (const algorithm of algorithms) {
+            const outputLength = entries[0].result.hashValues[algorithm].length / 2;
+            const leaves = [];
+
+            for (const { result, pathBytes } of entries) {
+                const length = new Uint8Array(4);
+                new DataView(length.buffer).setUint32(0, pathBytes.length);
+
+                leaves.push(await this.hashParts(algorithm, outputLength, [
+                    new Uint8Array([0]),
+                    length,
+                    pathBytes,
+                    Utils.decodeBytes(result.hashValues[algorithm], 'hex')
+                ]));
+            }
+
+            const rootHash = await this.merkleRoot(algorithm, outputLength, leaves);
+            digests[algorithm] = HashCalculator.bufferToHex(rootHash, resultFormat);
+        }
+
+        return { version: this.version, root, fileCount: results.length, digests };
+    }
+};
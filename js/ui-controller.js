@@ -5,12 +5,55 @@
 
 // UI控制器对象
 const UI = {
+    // 从密钥文件加载的HMAC密钥（只保存在内存中）
+    hmacKeyFile: null,
+    
+    // 加载的校验清单文件名，用于推测算法（如 SHA256SUMS、*.md5）
+    manifestName: '',
+    
+    // 加载的基准结果（ReferenceSet.parse 的返回值）和来源文件名
+    referenceSet: null,
+    referenceName: '',
+    
+    // 文件夹同步对比选择的左右文件夹（FolderSync.createEntries 的返回值）
+    syncFolders: { left: null, right: null },
+    
+    // 查找到的重复文件组（DuplicateFinder.buildSets 的返回值）
+    duplicateSets: [],
+    
+    // 导出弹窗要导出的结果 { results, info, treeDigest }，为 null 时导出当前的计算结果
+    exportSource: null,
+    
+    // 从 IndexedDB 读取的历史记录
+    historyRuns: [],
+    
+    // 当前的输入方式（'file' 或 'text'）
+    inputMode: 'file',
+    
+    // 文本哈希的延迟计算定时器和计算序号（只显示最后一次计算的结果）
+    textDigestTimer: null,
+    textDigestSequence: 0,
+    
+    // 正在进行的网址下载的计算控制对象
+    urlControl: null,
+    
+    // 比较页面中各功能正在进行的哈希计算的控制对象，按功能名称记录
+    hashTaskControls: {},
+    
     /**
      * 初始化UI控制器
      */
     init() {
         this.setupEventListeners();
         this.setupAlgorithmSelection();
+        this.setupHmacKeyInput();
+        this.setupFileFilter();
+        this.setupManifestVerification();
+        this.setupReferenceSet();
+        this.setupFolderSync();
+        this.setupHistory();
+        this.setupTextInput();
+        this.setupUrlInput();
     },
     
     /**
@@ -62,12 +105,50 @@ const UI = {
         document.getElementById('compare-btn').addEventListener('click', () => {
             this.compareHash();
         });
+        
+        // 校验清单验证按钮
+        document.getElementById('verify-manifest-btn').addEventListener('click', () => {
+            this.verifyManifest();
+        });
+        document.getElementById('manifest-cancel-btn').addEventListener('click', () => {
+            this.cancelHashTask('manifest');
+        });
+        
+        // 基准对比按钮
+        document.getElementById('reference-diff-btn').addEventListener('click', () => {
+            this.diffReference();
+        });
+        document.getElementById('reference-cancel-btn').addEventListener('click', () => {
+            this.cancelHashTask('reference');
+        });
+        document.getElementById('reference-clear-btn').addEventListener('click', () => {
+            this.clearReference();
+        });
+        
+        // 文件夹同步对比按钮
+        document.getElementById('sync-compare-btn').addEventListener('click', () => {
+            this.compareFolders();
+        });
+        document.getElementById('sync-cancel-btn').addEventListener('click', () => {
+            this.cancelHashTask('sync');
+        });
+        
+        // 查找重复文件按钮
+        document.getElementById('duplicate-find-btn').addEventListener('click', () => {
+            this.findDuplicates();
+        });
+        document.getElementById('duplicate-cancel-btn').addEventListener('click', () => {
+            this.cancelHashTask('duplicate');
+        });
     },
     
     /**
      * 设置算法选择相关的事件
      */
     setupAlgorithmSelection() {
+        this.renderAlgorithmSelector();
+        this.renderAlgorithmParamFields();
+        
         const checkboxes = document.querySelectorAll('.algorithm-checkbox');
         const hmacKeyContainer = document.getElementById('hmac-key-container');
         
@@ -85,10 +166,266 @@ const UI = {
                 } else {
                     hmacKeyContainer.classList.add('hidden');
                 }
+                
+                this.updateAlgorithmParamFields();
+            });
+        });
+    },
+    
+    /**
+     * 根据算法注册表生成算法选择框，按分组显示
+     */
+    renderAlgorithmSelector() {
+        const selector = document.getElementById('algorithm-selector');
+        const algorithms = AlgorithmRegistry.list();
+        selector.innerHTML = '';
+        
+        AlgorithmRegistry.groups.forEach(group => {
+            const groupAlgorithms = algorithms.filter(algorithm => algorithm.group === group.id);
+            if (groupAlgorithms.length === 0) return;
+            
+            const groupSection = document.createElement('div');
+            
+            const groupTitle = document.createElement('h3');
+            groupTitle.className = 'text-sm font-medium text-gray-500 dark:text-gray-400 mb-2';
+            groupTitle.textContent = group.label;
+            
+            const grid = document.createElement('div');
+            grid.className = 'grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3';
+            
+            groupAlgorithms.forEach(algorithm => {
+                const option = document.createElement('label');
+                option.className = 'algorithm-option flex items-center p-3 border rounded-lg cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors';
+                
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'algorithm-checkbox mr-3 h-4 w-4 text-primary focus:ring-primary';
+                checkbox.value = algorithm.id;
+                
+                const label = document.createElement('span');
+                label.textContent = algorithm.label;
+                
+                option.appendChild(checkbox);
+                option.appendChild(label);
+                grid.appendChild(option);
+            });
+            
+            groupSection.appendChild(groupTitle);
+            groupSection.appendChild(grid);
+            selector.appendChild(groupSection);
+        });
+    },
+    
+    /**
+     * 为可变长度算法（如SHAKE、BLAKE2）生成输出长度输入框，为支持密钥的算法（如BLAKE2、BLAKE3）生成密钥输入框
+     * 输出长度默认为注册表中的长度，密钥留空时为普通哈希
+     */
+    renderAlgorithmParamFields() {
+        const container = document.getElementById('algorithm-params-fields');
+        container.innerHTML = '';
+        
+        AlgorithmRegistry.list()
+            .filter(algorithm => algorithm.variableLength || algorithm.keyLength)
+            .forEach(algorithm => {
+                const field = document.createElement('div');
+                field.className = 'algorithm-param-field flex flex-col sm:flex-row sm:items-center gap-2 hidden';
+                field.dataset.algorithm = algorithm.id;
+                
+                const name = document.createElement('span');
+                name.className = 'text-sm sm:w-24';
+                name.textContent = algorithm.label;
+                field.appendChild(name);
+                
+                if (algorithm.variableLength) {
+                    const lengthInput = document.createElement('input');
+                    lengthInput.type = 'number';
+                    lengthInput.className = 'output-length-input input-primary sm:w-40';
+                    lengthInput.min = algorithm.variableLength.min * 8;
+                    lengthInput.max = algorithm.variableLength.max * 8;
+                    lengthInput.step = 8;
+                    lengthInput.value = algorithm.digestLength * 8;
+                    lengthInput.title = '输出长度（位）';
+                    
+                    const unit = document.createElement('span');
+                    unit.className = 'text-sm text-gray-500 dark:text-gray-400';
+                    unit.textContent = '位';
+                    
+                    field.appendChild(lengthInput);
+                    field.appendChild(unit);
+                }
+                
+                if (algorithm.keyLength) {
+                    const { min, max } = algorithm.keyLength;
+                    const keyInput = document.createElement('input');
+                    keyInput.type = 'text';
+                    keyInput.className = 'algorithm-key-input input-primary flex-1 font-mono';
+                    keyInput.placeholder = min === max
+                        ? `密钥（可选，${max} 字节十六进制）`
+                        : `密钥（可选，最多 ${max} 字节十六进制）`;
+                    field.appendChild(keyInput);
+                }
+                
+                container.appendChild(field);
             });
+    },
+    
+    /**
+     * 根据选中的算法显示对应的参数输入框
+     */
+    updateAlgorithmParamFields() {
+        const selected = FileHandler.getSelectedAlgorithms();
+        let visibleCount = 0;
+        
+        document.querySelectorAll('.algorithm-param-field').forEach(field => {
+            const visible = selected.includes(field.dataset.algorithm);
+            field.classList.toggle('hidden', !visible);
+            if (visible) visibleCount++;
+        });
+        
+        document.getElementById('algorithm-params-container').classList.toggle('hidden', visibleCount === 0);
+    },
+    
+    /**
+     * 获取选中的可变长度算法的输出长度
+     * @returns {Object} 算法标识到输出字节数的映射
+     * @throws {Error} 输出长度无效时抛出
+     */
+    getOutputLengths() {
+        const selected = FileHandler.getSelectedAlgorithms();
+        const lengths = {};
+        
+        document.querySelectorAll('.algorithm-param-field').forEach(field => {
+            const algorithm = field.dataset.algorithm;
+            const input = field.querySelector('.output-length-input');
+            if (!input || !selected.includes(algorithm)) return;
+            
+            const bits = Number(input.value);
+            const info = AlgorithmRegistry.get(algorithm);
+            
+            if (bits % 8 !== 0 || !AlgorithmRegistry.isValidOutputLength(algorithm, bits / 8)) {
+                throw new Error(`${info.label} 的输出长度必须是 ${info.variableLength.min * 8} 到 ${info.variableLength.max * 8} 之间 8 的倍数`);
+            }
+            
+            lengths[algorithm] = bits / 8;
+        });
+        
+        return lengths;
+    },
+    
+    /**
+     * 获取选中的算法的密钥（BLAKE2、BLAKE3 等）
+     * @returns {Object} 算法标识到密钥字节的映射，未填写密钥的算法不包含在内
+     * @throws {Error} 密钥不是有效的十六进制或长度不符合要求时抛出
+     */
+    getAlgorithmKeys() {
+        const selected = FileHandler.getSelectedAlgorithms();
+        const keys = {};
+        
+        document.querySelectorAll('.algorithm-param-field').forEach(field => {
+            const algorithm = field.dataset.algorithm;
+            const input = field.querySelector('.algorithm-key-input');
+            if (!input || !selected.includes(algorithm) || input.value.trim() === '') return;
+            
+            const info = AlgorithmRegistry.get(algorithm);
+            const key = Utils.decodeBytes(input.value, 'hex');
+            
+            if (!AlgorithmRegistry.isValidKeyLength(algorithm, key.length)) {
+                const { min, max } = info.keyLength;
+                const expected = min === max ? `${max} 字节` : `${min} 到 ${max} 字节`;
+                throw new Error(`${info.label} 的密钥必须是 ${expected}，当前为 ${key.length} 字节`);
+            }
+            
+            keys[algorithm] = key;
+        });
+        
+        return keys;
+    },
+    
+    /**
+     * 设置HMAC密钥输入相关的事件
+     */
+    setupHmacKeyInput() {
+        const encodingSelect = document.getElementById('hmac-key-encoding');
+        const keyInput = document.getElementById('hmac-key');
+        const keyFileInput = document.getElementById('hmac-key-file');
+        
+        const placeholders = {
+            utf8: '输入 HMAC 密钥（可选）',
+            hex: '输入十六进制密钥，例如 0a1b2c3d',
+            base64: '输入 Base64 编码的密钥'
+        };
+        
+        // 根据编码方式更新提示文字
+        encodingSelect.addEventListener('change', () => {
+            keyInput.placeholder = placeholders[encodingSelect.value];
+        });
+        
+        // 从文件加载二进制密钥
+        keyFileInput.addEventListener('change', async () => {
+            const file = keyFileInput.files[0];
+            if (!file) return;
+            
+            try {
+                this.hmacKeyFile = {
+                    name: file.name,
+                    bytes: new Uint8Array(await file.arrayBuffer())
+                };
+                this.updateHmacKeyFileInfo();
+                this.showNotification('密钥已加载', `已从 ${file.name} 加载 ${this.hmacKeyFile.bytes.length} 字节的密钥`, 'success');
+            } catch (error) {
+                console.error('读取密钥文件失败:', error);
+                this.showNotification('加载失败', '无法读取密钥文件', 'error');
+            } finally {
+                keyFileInput.value = '';
+            }
+        });
+        
+        // 移除密钥文件
+        document.getElementById('hmac-key-file-clear').addEventListener('click', () => {
+            this.hmacKeyFile = null;
+            this.updateHmacKeyFileInfo();
         });
     },
     
+    /**
+     * 更新密钥文件的显示状态
+     * 加载密钥文件后，文本输入框和编码选择被禁用
+     */
+    updateHmacKeyFileInfo() {
+        const info = document.getElementById('hmac-key-file-info');
+        const loaded = Boolean(this.hmacKeyFile);
+        
+        document.getElementById('hmac-key').disabled = loaded;
+        document.getElementById('hmac-key-encoding').disabled = loaded;
+        
+        if (loaded) {
+            document.getElementById('hmac-key-file-name').textContent =
+                `使用密钥文件：${this.hmacKeyFile.name}（${this.hmacKeyFile.bytes.length} 字节）`;
+            info.classList.remove('hidden');
+        } else {
+            info.classList.add('hidden');
+        }
+        
+        this.scheduleTextDigest();
+    },
+    
+    /**
+     * 获取HMAC密钥字节
+     * 优先使用密钥文件，否则按所选编码解码输入框中的文本
+     * @returns {Uint8Array} 密钥字节
+     * @throws {Error} 密钥文本不符合所选编码时抛出
+     */
+    getHmacKey() {
+        if (this.hmacKeyFile) {
+            return this.hmacKeyFile.bytes;
+        }
+        
+        const text = document.getElementById('hmac-key').value;
+        const encoding = document.getElementById('hmac-key-encoding').value;
+        
+        return Utils.decodeBytes(text, encoding);
+    },
+    
     /**
      * 切换页面部分
      * @param {string} sectionId - 要显示的部分ID
@@ -109,6 +446,11 @@ const UI = {
         
         // 设置对应的导航链接为活动状态
         document.querySelector(`.nav-link[data-section="${sectionId}"]`).classList.add('active');
+        
+        // 每次进入历史记录页面时重新读取
+        if (sectionId === 'history') {
+            this.loadHistory();
+        }
     },
     
     /**
@@ -216,14 +558,14 @@ const UI = {
             return;
         }
         
-        let textToCopy = '';
+        let textToCopy = FileHandler.treeDigest ? Utils.formatTreeDigest(FileHandler.treeDigest) + '\n' : '';
         
         FileHandler.calculationResults.forEach(result => {
-            textToCopy += `文件名: ${result.filename}\n`;
+            textToCopy += `文件名: ${result.path}\n`;
             textToCopy += `文件大小: ${Utils.formatFileSize(result.size)}\n`;
             
             Object.entries(result.hashValues).forEach(([algorithm, hash]) => {
-                textToCopy += `${algorithm.toUpperCase()}: ${hash}\n`;
+                textToCopy += `${AlgorithmRegistry.getLabel(algorithm)}: ${hash}\n`;
             });
             
             textToCopy += '\n';
@@ -238,11 +580,26 @@ const UI = {
         });
     },
     
+    /**
+     * 获取要导出的结果
+     * @returns {Object} { results, info, treeDigest }
+     */
+    getExportSource() {
+        return this.exportSource || {
+            results: FileHandler.calculationResults,
+            info: FileHandler.calculationInfo,
+            treeDigest: FileHandler.treeDigest
+        };
+    },
+    
     /**
      * 打开导出弹窗
+     * @param {Object|null} source - 要导出的结果 { results, info, treeDigest }（如历史记录），为 null 时导出当前的计算结果
      */
-    openExportModal() {
-        if (FileHandler.calculationResults.length === 0) {
+    openExportModal(source = null) {
+        this.exportSource = source;
+        
+        if (this.getExportSource().results.length === 0) {
             this.showNotification('没有结果', '没有可导出的计算结果', 'warning');
             return;
         }
@@ -265,13 +622,16 @@ const UI = {
      */
     closeExportModal() {
         document.getElementById('export-modal').classList.add('hidden');
+        this.exportSource = null;
     },
     
     /**
      * 导出计算结果
      */
     exportResults() {
-        if (FileHandler.calculationResults.length === 0) {
+        const { results, info, treeDigest } = this.getExportSource();
+        
+        if (results.length === 0) {
             this.showNotification('没有结果', '没有可导出的计算结果', 'warning');
             return;
         }
@@ -281,15 +641,28 @@ const UI = {
         const format = document.getElementById('export-format-modal').value;
         const includeTimestamp = document.getElementById('include-timestamp').checked;
         
+        if (format === 'sums' || format === 'bsd') {
+            this.exportChecksumManifest(format, filename, results, info);
+            return;
+        }
+        
         let content, mimeType, extension;
         
         // 根据格式生成内容
         if (format === 'csv') {
-            content = Utils.exportAsCsv(FileHandler.calculationResults, includeTimestamp);
+            content = Utils.exportAsCsv(results, includeTimestamp);
             mimeType = 'text/csv;charset=utf-8;';
             extension = 'csv';
+        } else if (format === 'json') {
+            content = Utils.exportAsJson(results, info, includeTimestamp, treeDigest);
+            mimeType = 'application/json;charset=utf-8;';
+            extension = 'json';
+        } else if (format === 'ndjson') {
+            content = Utils.exportAsNdjson(results, info, includeTimestamp, treeDigest);
+            mimeType = 'application/x-ndjson;charset=utf-8;';
+            extension = 'ndjson';
         } else {
-            content = Utils.exportAsTxt(FileHandler.calculationResults, includeTimestamp);
+            content = Utils.exportAsTxt(results, includeTimestamp, treeDigest);
             mimeType = 'text/plain;charset=utf-8;';
             extension = 'txt';
         }
@@ -301,7 +674,52 @@ const UI = {
         this.closeExportModal();
         
         // 显示成功通知
-        this.showNotification('导出成功', `已导出 ${FileHandler.calculationResults.length} 个文件的哈希值`, 'success');
+        this.showNotification('导出成功', `已导出 ${results.length} 个文件的哈希值`, 'success');
+    },
+    
+    /**
+     * 导出 sha256sum 等工具可以直接验证的校验清单
+     * GNU 格式每个算法导出一个文件（SHA256SUMS、MD5SUMS 等），BSD 格式所有算法导出到同一个文件
+     * 校验清单中不能包含注释，因此忽略“包含时间戳”选项
+     * @param {string} format - 清单格式 ('sums' 或 'bsd')
+     * @param {string} filename - BSD 格式使用的文件名（不含扩展名）
+     * @param {Array} results - 要导出的计算结果
+     * @param {Object|null} info - 计算信息，用于排除使用了密钥的算法
+     */
+    exportChecksumManifest(format, filename, results, info) {
+        const algorithms = ChecksumManifest.getExportableAlgorithms(results, info ? info.keyedAlgorithms : []);
+        const mimeType = 'text/plain;charset=utf-8;';
+        let fileCount = 0;
+        
+        if (format === 'sums') {
+            algorithms.forEach(algorithm => {
+                const content = ChecksumManifest.formatGnu(results, algorithm);
+                if (content) {
+                    Utils.downloadFile(content, ChecksumManifest.getSumsFileName(algorithm), mimeType);
+                    fileCount++;
+                }
+            });
+        } else {
+            const content = ChecksumManifest.formatBsd(results, algorithms);
+            if (content) {
+                Utils.downloadFile(content, `${filename}.txt`, mimeType);
+                fileCount++;
+            }
+        }
+        
+        if (fileCount === 0) {
+            this.showNotification('无法导出', '没有可导出为校验清单的结果（HMAC 和带密钥的 BLAKE 结果需要密钥才能验证，不会导出）', 'warning');
+            return;
+        }
+        
+        this.closeExportModal();
+        
+        const skipped = results.some(result => Object.keys(result.hashValues).some(algorithm => !algorithms.includes(algorithm)));
+        const message = format === 'sums'
+            ? `已导出 ${fileCount} 个校验清单文件`
+            : `已导出 ${results.length} 个文件的校验清单`;
+        
+        this.showNotification('导出成功', skipped ? `${message}，HMAC 和带密钥的 BLAKE 结果未包含在内` : message, 'success');
     },
     
     /**
@@ -332,7 +750,7 @@ const UI = {
                 if (Utils.compareHashes(inputHash, hash)) {
                     foundMatch = true;
                     matches.push({
-                        filename: result.filename,
+                        path: result.path,
                         algorithm,
                         hash
                     });
@@ -369,14 +787,14 @@ const UI = {
                 fileIcon.setAttribute('data-lucide', FileHandler.getFileIcon(''));
                 
                 const fileName = document.createElement('span');
-                fileName.textContent = match.filename;
+                fileName.textContent = match.path;
                 
                 fileInfo.appendChild(fileIcon);
                 fileInfo.appendChild(fileName);
                 
                 const algoInfo = document.createElement('span');
                 algoInfo.className = 'text-sm text-gray-600 dark:text-gray-400 mt-1 sm:mt-0';
-                algoInfo.textContent = `${match.algorithm.toUpperCase()}`;
+                algoInfo.textContent = AlgorithmRegistry.getLabel(match.algorithm);
                 
                 listItem.appendChild(fileInfo);
                 listItem.appendChild(algoInfo);
@@ -410,5 +828,1609 @@ const UI = {
         
         // 重新渲染Lucide图标
         lucide.createIcons();
+    },
+    
+    /**
+     * 设置文件过滤规则的表单和预设
+     * 表单内容修改后立即保存为当前过滤规则，在下次选择或拖入文件时生效
+     */
+    setupFileFilter() {
+        const panel = document.getElementById('file-filter-panel');
+        const presetSelect = document.getElementById('filter-preset');
+        
+        this.fillFileFilterForm(SettingsManager.get('fileFilter'));
+        this.renderFilterPresets();
+        
+        // 修改任意规则后保存
+        panel.querySelectorAll('#filter-enabled, #filter-include, #filter-exclude, #filter-min-size, #filter-max-size, #filter-exclude-hidden')
+            .forEach(input => input.addEventListener('change', () => this.saveFileFilter()));
+        
+        // 选择预设时载入预设的规则并启用过滤
+        presetSelect.addEventListener('change', () => {
+            const preset = SettingsManager.get('filterPresets').find(item => item.name === presetSelect.value);
+            if (!preset) return;
+            
+            this.fillFileFilterForm({ ...preset, enabled: true });
+            document.getElementById('filter-preset-name').value = preset.name;
+            this.saveFileFilter();
+        });
+        
+        // 保存为预设
+        document.getElementById('filter-preset-save').addEventListener('click', () => {
+            const name = document.getElementById('filter-preset-name').value.trim();
+            if (!name) {
+                this.showNotification('请输入名称', '请输入预设名称', 'warning');
+                return;
+            }
+            
+            let filter;
+            try {
+                filter = this.readFileFilterForm();
+            } catch (error) {
+                this.showNotification('规则无效', error.message, 'warning');
+                return;
+            }
+            
+            const { enabled, ...rules } = filter;
+            if (SettingsManager.saveFilterPreset({ name, ...rules })) {
+                this.renderFilterPresets(name);
+                this.showNotification('预设已保存', `已保存过滤规则预设“${name}”`, 'success');
+            } else {
+                this.showNotification('保存失败', '无法保存设置，请检查浏览器存储权限', 'error');
+            }
+        });
+        
+        // 删除预设
+        document.getElementById('filter-preset-delete').addEventListener('click', () => {
+            const name = presetSelect.value;
+            if (!name) {
+                this.showNotification('请选择预设', '请先选择要删除的预设', 'warning');
+                return;
+            }
+            
+            SettingsManager.deleteFilterPreset(name);
+            this.renderFilterPresets();
+            this.showNotification('预设已删除', `已删除过滤规则预设“${name}”`, 'info');
+        });
+    },
+    
+    /**
+     * 生成过滤规则预设的选项
+     * @param {string} selected - 需要选中的预设名称（可选）
+     */
+    renderFilterPresets(selected = '') {
+        const presetSelect = document.getElementById('filter-preset');
+        
+        // 保留第一个提示选项
+        while (presetSelect.options.length > 1) {
+            presetSelect.remove(1);
+        }
+        
+        SettingsManager.get('filterPresets').forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name;
+            presetSelect.appendChild(option);
+        });
+        
+        presetSelect.value = selected;
+    },
+    
+    /**
+     * 把过滤规则填入表单
+     * @param {Object} filter - 过滤规则
+     */
+    fillFileFilterForm(filter) {
+        const formatSize = size => (typeof size === 'number' ? Utils.formatFileSize(size) : '');
+        
+        document.getElementById('filter-enabled').checked = Boolean(filter.enabled);
+        document.getElementById('filter-include').value = filter.include || '';
+        document.getElementById('filter-exclude').value = filter.exclude || '';
+        document.getElementById('filter-exclude-hidden').checked = Boolean(filter.excludeHidden);
+        document.getElementById('filter-min-size').value = formatSize(filter.minSize);
+        document.getElementById('filter-max-size').value = formatSize(filter.maxSize);
+        
+        this.updateFileFilterStatus(filter);
+    },
+    
+    /**
+     * 从表单读取过滤规则
+     * @returns {Object} 过滤规则
+     * @throws {Error} 文件大小格式不正确时抛出错误
+     */
+    readFileFilterForm() {
+        const minSize = Utils.parseFileSize(document.getElementById('filter-min-size').value);
+        const maxSize = Utils.parseFileSize(document.getElementById('filter-max-size').value);
+        
+        if (minSize !== null && maxSize !== null && minSize > maxSize) {
+            throw new Error('最小文件大小不能大于最大文件大小');
+        }
+        
+        return {
+            enabled: document.getElementById('filter-enabled').checked,
+            include: document.getElementById('filter-include').value.trim(),
+            exclude: document.getElementById('filter-exclude').value.trim(),
+            excludeHidden: document.getElementById('filter-exclude-hidden').checked,
+            minSize,
+            maxSize
+        };
+    },
+    
+    /**
+     * 保存表单中的过滤规则为当前规则
+     */
+    saveFileFilter() {
+        let filter;
+        try {
+            filter = this.readFileFilterForm();
+        } catch (error) {
+            this.showNotification('规则无效', error.message, 'warning');
+            return;
+        }
+        
+        SettingsManager.set('fileFilter', filter);
+        SettingsManager.saveSettings();
+        this.updateFileFilterStatus(filter);
+    },
+    
+    /**
+     * 更新过滤规则标题旁的状态文字
+     * @param {Object} filter - 过滤规则
+     */
+    updateFileFilterStatus(filter) {
+        document.getElementById('file-filter-status').textContent = filter.enabled ? '（已启用）' : '（未启用）';
+    },
+    
+    /**
+     * 按算法分组向下拉框添加不需要密钥的算法选项
+     * @param {HTMLSelectElement} select - 下拉框
+     */
+    appendAlgorithmOptions(select) {
+        AlgorithmRegistry.groups.forEach(group => {
+            const algorithms = AlgorithmRegistry.list().filter(algorithm => algorithm.group === group.id && !algorithm.keyed);
+            if (algorithms.length === 0) return;
+            
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            
+            algorithms.forEach(algorithm => {
+                const option = document.createElement('option');
+                option.value = algorithm.id;
+                option.textContent = algorithm.label;
+                optgroup.appendChild(option);
+            });
+            
+            select.appendChild(optgroup);
+        });
+    },
+    
+    /**
+     * 设置校验清单验证相关的事件
+     */
+    setupManifestVerification() {
+        const manifestInput = document.getElementById('manifest-input');
+        const manifestFile = document.getElementById('manifest-file');
+        const algorithmSelect = document.getElementById('manifest-algorithm');
+        
+        // 生成算法选项（不包括需要密钥的 HMAC）
+        this.appendAlgorithmOptions(algorithmSelect);
+        
+        // 加载清单文件
+        manifestFile.addEventListener('change', async () => {
+            const file = manifestFile.files[0];
+            if (!file) return;
+            
+            try {
+                manifestInput.value = await file.text();
+                this.manifestName = file.name;
+            } catch (error) {
+                console.error('读取清单文件失败:', error);
+                this.showNotification('加载失败', '无法读取清单文件', 'error');
+            } finally {
+                manifestFile.value = '';
+            }
+        });
+        
+        // 手动修改清单内容后不再根据文件名推测算法
+        manifestInput.addEventListener('input', () => {
+            this.manifestName = '';
+        });
+    },
+    
+    /**
+     * 开始比较页面中某个功能的哈希计算，显示该功能的“取消”按钮（`${name}-cancel-btn`）
+     * @param {string} name - 功能名称（manifest、reference、sync、duplicate）
+     * @returns {Object} 计算控制对象
+     */
+    beginHashTask(name) {
+        const control = HashCalculator.createCalculationControl();
+        this.hashTaskControls[name] = control;
+        document.getElementById(`${name}-cancel-btn`).classList.remove('hidden');
+        return control;
+    },
+    
+    /**
+     * 计算功能需要的一批文件的哈希值，并在 `${name}-progress` 中显示已完成的文件数
+     * @param {string} name - 功能名称
+     * @param {Array<Object>} jobs - 要计算的文件 { file, algorithms, outputLengths }
+     * @param {string} stage - 进度文字的前缀
+     * @returns {Promise<Map<File, Object>>} FileHandler.hashFiles 的结果
+     */
+    hashTaskFiles(name, jobs, stage = '正在计算') {
+        const progress = document.getElementById(`${name}-progress`);
+        progress.textContent = `${stage}：0 / ${jobs.length}`;
+        
+        return FileHandler.hashFiles(jobs, {
+            control: this.hashTaskControls[name],
+            onProgress: ({ completed, total }) => {
+                progress.textContent = `${stage}：${completed} / ${total}`;
+            }
+        });
+    },
+    
+    /**
+     * 取消功能正在进行的哈希计算
+     * @param {string} name - 功能名称
+     */
+    cancelHashTask(name) {
+        if (this.hashTaskControls[name]) {
+            this.hashTaskControls[name].cancel();
+        }
+    },
+    
+    /**
+     * 结束功能的哈希计算，隐藏“取消”按钮
+     * @param {string} name - 功能名称
+     * @param {string} message - 计算结束后显示在进度位置的文字
+     */
+    endHashTask(name, message = '') {
+        this.hashTaskControls[name] = null;
+        document.getElementById(`${name}-cancel-btn`).classList.add('hidden');
+        document.getElementById(`${name}-progress`).textContent = message;
+    },
+    
+    /**
+     * 按校验清单验证选中的文件
+     * 与 sha256sum -c 相同，每个条目的结果为 OK、FAILED 或 MISSING
+     */
+    async verifyManifest() {
+        const text = document.getElementById('manifest-input').value;
+        const algorithm = document.getElementById('manifest-algorithm').value;
+        const verifyBtn = document.getElementById('verify-manifest-btn');
+        
+        if (!text.trim()) {
+            this.showNotification('请输入校验清单', '请粘贴或加载要验证的校验清单', 'warning');
+            return;
+        }
+        
+        if (FileHandler.selectedFiles.length === 0) {
+            this.showNotification('没有选择文件', '请先在计算页面选择要验证的文件', 'warning');
+            return;
+        }
+        
+        const { entries, invalidLines } = ChecksumManifest.parse(text, {
+            manifestName: this.manifestName,
+            algorithm: algorithm === 'auto' ? null : algorithm
+        });
+        
+        if (entries.length === 0) {
+            this.showNotification('无法识别清单', '没有找到格式正确的校验条目', 'warning');
+            return;
+        }
+        
+        // 按文件归并需要计算的算法，每个文件只读取一遍
+        const jobs = new Map();
+        const files = FileHandler.matchSelectedFiles(entries.map(entry => entry.path), { matchByName: true });
+        entries.forEach((entry, index) => {
+            entry.file = files[index];
+            if (!entry.file) return;
+            
+            if (!jobs.has(entry.file)) {
+                jobs.set(entry.file, { algorithms: [], outputLengths: {} });
+            }
+            
+            const job = jobs.get(entry.file);
+            if (!job.algorithms.includes(entry.algorithm)) {
+                job.algorithms.push(entry.algorithm);
+            }
+            if (entry.outputLength) {
+                job.outputLengths[entry.algorithm] = entry.outputLength;
+            }
+        });
+        
+        verifyBtn.disabled = true;
+        this.beginHashTask('manifest');
+        
+        try {
+            const results = await this.hashTaskFiles('manifest', Array.from(jobs, ([file, job]) => ({ file, ...job })));
+            
+            entries.forEach(entry => {
+                if (!entry.file) {
+                    entry.status = 'missing';
+                    return;
+                }
+                
+                entry.actual = results.get(entry.file)[entry.algorithm];
+                entry.status = Utils.compareHashes(entry.hash, entry.actual) ? 'ok' : 'failed';
+            });
+            
+            this.renderManifestResult(entries, invalidLines);
+        } catch (error) {
+            if (HashCalculator.isAbortError(error)) {
+                this.showNotification('验证已取消', '已取消验证校验清单', 'warning');
+            } else {
+                console.error('验证校验清单失败:', error);
+                this.showNotification('验证失败', error.message, 'error');
+            }
+        } finally {
+            this.endHashTask('manifest');
+            verifyBtn.disabled = false;
+        }
+    },
+    
+    /**
+     * 显示校验清单验证结果
+     * @param {Array<Object>} entries - 带有 status 的清单条目
+     * @param {Array<number>} invalidLines - 格式不正确的行号
+     */
+    renderManifestResult(entries, invalidLines) {
+        const container = document.getElementById('manifest-result');
+        container.innerHTML = '';
+        
+        const counts = { ok: 0, failed: 0, missing: 0 };
+        entries.forEach(entry => counts[entry.status]++);
+        
+        const allPassed = counts.failed === 0 && counts.missing === 0;
+        
+        // 汇总
+        const summary = document.createElement('div');
+        summary.className = `p-4 rounded-lg border mb-3 ${allPassed ? 'comparison-match' : 'comparison-mismatch'}`;
+        
+        const summaryIcon = document.createElement('i');
+        summaryIcon.className = `w-6 h-6 inline-block mr-2 ${allPassed ? 'text-green-500' : 'text-red-500'}`;
+        summaryIcon.setAttribute('data-lucide', allPassed ? 'check-circle' : 'x-circle');
+        
+        const summaryTitle = document.createElement('h3');
+        summaryTitle.className = `font-medium flex items-center ${allPassed ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`;
+        summaryTitle.appendChild(summaryIcon);
+        summaryTitle.appendChild(document.createTextNode(allPassed
+            ? `全部 ${entries.length} 个文件验证通过`
+            : `${counts.ok} 个通过，${counts.failed} 个不匹配，${counts.missing} 个缺失`));
+        summary.appendChild(summaryTitle);
+        
+        if (invalidLines.length > 0) {
+            const warning = document.createElement('p');
+            warning.className = 'text-sm text-yellow-700 dark:text-yellow-400 mt-2';
+            warning.textContent = `有 ${invalidLines.length} 行格式不正确，已忽略（第 ${invalidLines.slice(0, 10).join('、')}${invalidLines.length > 10 ? ' 等' : ''} 行）`;
+            summary.appendChild(warning);
+        }
+        
+        container.appendChild(summary);
+        
+        // 每个条目的结果
+        const statusStyles = {
+            ok: { text: 'OK', className: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300' },
+            failed: { text: 'FAILED', className: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300' },
+            missing: { text: 'MISSING', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300' }
+        };
+        
+        const list = document.createElement('ul');
+        list.className = 'space-y-2';
+        
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'bg-gray-50 dark:bg-gray-800/50 p-3 rounded-lg';
+            
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between gap-2';
+            
+            const fileInfo = document.createElement('div');
+            fileInfo.className = 'flex items-center overflow-hidden';
+            
+            const badge = document.createElement('span');
+            badge.className = `mr-2 px-2 py-0.5 text-xs font-mono font-medium rounded ${statusStyles[entry.status].className}`;
+            badge.textContent = statusStyles[entry.status].text;
+            
+            const fileName = document.createElement('span');
+            fileName.className = 'truncate';
+            fileName.textContent = entry.path;
+            
+            fileInfo.appendChild(badge);
+            fileInfo.appendChild(fileName);
+            
+            const algoInfo = document.createElement('span');
+            algoInfo.className = 'text-sm text-gray-600 dark:text-gray-400 whitespace-nowrap';
+            algoInfo.textContent = AlgorithmRegistry.getLabel(entry.algorithm);
+            
+            row.appendChild(fileInfo);
+            row.appendChild(algoInfo);
+            item.appendChild(row);
+            
+            // 不匹配时显示期望值和实际值
+            if (entry.status === 'failed') {
+                const details = document.createElement('div');
+                details.className = 'mt-2 text-xs font-mono break-all space-y-1';
+                
+                const expected = document.createElement('div');
+                const actual = document.createElement('div');
+                
+                if (/^[0-9a-f]+$/i.test(entry.actual || '')) {
+                    const [expectedHtml, actualHtml] = Utils.highlightDifferences(entry.hash, entry.actual);
+                    expected.innerHTML = `期望：${expectedHtml}`;
+                    actual.innerHTML = `实际：${actualHtml}`;
+                } else {
+                    expected.textContent = `期望：${entry.hash}`;
+                    actual.textContent = `实际：${entry.actual || ''}`;
+                }
+                
+                details.appendChild(expected);
+                details.appendChild(actual);
+                item.appendChild(details);
+            }
+            
+            list.appendChild(item);
+        });
+        
+        container.appendChild(list);
+        container.classList.remove('hidden');
+        
+        // 显示通知
+        if (allPassed) {
+            this.showNotification('验证通过', `全部 ${entries.length} 个文件与清单一致`, 'success');
+        } else {
+            this.showNotification('验证未通过', `${counts.failed} 个文件不匹配，${counts.missing} 个文件缺失`, 'error');
+        }
+        
+        // 重新渲染Lucide图标
+        lucide.createIcons();
+    },
+    
+    /**
+     * 设置基准结果的加载
+     */
+    setupReferenceSet() {
+        const referenceFile = document.getElementById('reference-file');
+        
+        referenceFile.addEventListener('change', async () => {
+            const file = referenceFile.files[0];
+            if (!file) return;
+            
+            try {
+                this.referenceSet = ReferenceSet.parse(await file.text(), file.name);
+                this.referenceName = file.name;
+                this.updateReferenceInfo();
+                
+                if (this.referenceSet.skippedAlgorithms.length > 0) {
+                    const labels = this.referenceSet.skippedAlgorithms.map(algorithm => AlgorithmRegistry.getLabel(algorithm));
+                    this.showNotification('部分算法已忽略', `${labels.join('、')} 需要密钥才能重新计算，不参与对比`, 'warning');
+                }
+            } catch (error) {
+                console.error('读取基准结果失败:', error);
+                this.showNotification('加载失败', `无法读取基准结果: ${error.message}`, 'error');
+            } finally {
+                referenceFile.value = '';
+            }
+        });
+    },
+    
+    /**
+     * 更新基准结果的说明文字和按钮状态
+     */
+    updateReferenceInfo() {
+        const info = document.getElementById('reference-info');
+        const reference = this.referenceSet;
+        
+        document.getElementById('reference-diff-btn').disabled = !reference;
+        document.getElementById('reference-clear-btn').classList.toggle('hidden', !reference);
+        
+        if (!reference) {
+            info.textContent = '尚未加载基准结果';
+            return;
+        }
+        
+        const formatNames = { json: 'JSON', ndjson: 'NDJSON', csv: 'CSV', manifest: '校验清单' };
+        const algorithms = new Set();
+        reference.entries.forEach(entry => Object.keys(entry.hashes).forEach(algorithm => algorithms.add(algorithm)));
+        
+        info.textContent = `已加载 ${this.referenceName}（${formatNames[reference.format]}，${reference.entries.length} 个文件，` +
+            `${Array.from(algorithms).map(algorithm => AlgorithmRegistry.getLabel(algorithm)).join('、')}）`;
+    },
+    
+    /**
+     * 清除基准结果
+     */
+    clearReference() {
+        this.referenceSet = null;
+        this.referenceName = '';
+        this.updateReferenceInfo();
+        
+        const container = document.getElementById('reference-result');
+        container.innerHTML = '';
+        container.classList.add('hidden');
+    },
+    
+    /**
+     * 重新计算选中文件的哈希值并与基准结果比较
+     * 每个文件使用基准中记录的算法计算；文件大小已经不同的文件不再计算，直接视为已变化
+     */
+    async diffReference() {
+        const reference = this.referenceSet;
+        const diffBtn = document.getElementById('reference-diff-btn');
+        
+        if (!reference) {
+            this.showNotification('没有基准结果', '请先加载以前导出的结果', 'warning');
+            return;
+        }
+        
+        if (FileHandler.selectedFiles.length === 0) {
+            this.showNotification('没有选择文件', '请先在计算页面选择要对比的文件', 'warning');
+            return;
+        }
+        
+        // 两边都去掉共同的根文件夹后按相对路径一一对应，同名但路径不同的文件视为缺失和新增
+        const matchedFiles = new Set();
+        const files = FileHandler.matchSelectedFiles(reference.entries.map(entry => entry.path), { stripRoot: true });
+        const items = reference.entries.map((entry, index) => {
+            const file = files[index];
+            if (file) {
+                matchedFiles.add(file);
+            }
+            return { path: entry.path, entry, file };
+        });
+        
+        // 大小已经不同的文件不需要计算
+        const jobs = items
+            .filter(item => item.file && (item.entry.size === null || item.entry.size === item.file.size))
+            .map(item => ({
+                file: item.file,
+                algorithms: Object.keys(item.entry.hashes),
+                outputLengths: ReferenceSet.getOutputLengths(item.entry)
+            }));
+        
+        diffBtn.disabled = true;
+        this.beginHashTask('reference');
+        
+        try {
+            const results = await this.hashTaskFiles('reference', jobs);
+            
+            items.forEach(item => {
+                if (!item.file) {
+                    item.status = 'missing';
+                    return;
+                }
+                
+                Object.assign(item, ReferenceSet.compare(item.entry, item.file.size, results.get(item.file) || null));
+            });
+            
+            // 基准中没有的文件
+            FileHandler.selectedFiles.filter(file => !matchedFiles.has(file)).forEach(file => {
+                items.push({ path: ChecksumManifest.normalizePath(FileHandler.getRelativePath(file)), file, status: 'added' });
+            });
+            
+            this.renderReferenceResult(items);
+        } catch (error) {
+            if (HashCalculator.isAbortError(error)) {
+                this.showNotification('对比已取消', '已取消与基准结果的对比', 'warning');
+            } else {
+                console.error('对比基准结果失败:', error);
+                this.showNotification('对比失败', error.message, 'error');
+            }
+        } finally {
+            this.endHashTask('reference');
+            diffBtn.disabled = false;
+        }
+    },
+    
+    /**
+     * 显示与基准结果的对比
+     * @param {Array<Object>} items - 带有 status 的对比条目
+     */
+    renderReferenceResult(items) {
+        const container = document.getElementById('reference-result');
+        container.innerHTML = '';
+        
+        const counts = { unchanged: 0, changed: 0, added: 0, missing: 0 };
+        items.forEach(item => counts[item.status]++);
+        
+        const noDrift = counts.changed === 0 && counts.added === 0 && counts.missing === 0;
+        
+        // 汇总
+        const summary = document.createElement('div');
+        summary.className = `p-4 rounded-lg border mb-3 ${noDrift ? 'comparison-match' : 'comparison-mismatch'}`;
+        
+        const summaryIcon = document.createElement('i');
+        summaryIcon.className = `w-6 h-6 inline-block mr-2 ${noDrift ? 'text-green-500' : 'text-red-500'}`;
+        summaryIcon.setAttribute('data-lucide', noDrift ? 'check-circle' : 'x-circle');
+        
+        const summaryTitle = document.createElement('h3');
+        summaryTitle.className = `font-medium flex items-center ${noDrift ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`;
+        summaryTitle.appendChild(summaryIcon);
+        summaryTitle.appendChild(document.createTextNode(noDrift
+            ? `全部 ${items.length} 个文件与基准一致`
+            : `${counts.unchanged} 个未变化，${counts.changed} 个已变化，${counts.added} 个新增，${counts.missing} 个缺失`));
+        summary.appendChild(summaryTitle);
+        container.appendChild(summary);
+        
+        // 有差异的文件排在前面
+        const order = { changed: 0, missing: 1, added: 2, unchanged: 3 };
+        const statusStyles = {
+            unchanged: { text: '未变化', className: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300' },
+            changed: { text: '已变化', className: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300' },
+            added: { text: '新增', className: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300' },
+            missing: { text: '缺失', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300' }
+        };
+        
+        const list = document.createElement('ul');
+        list.className = 'space-y-2';
+        
+        items.slice().sort((a, b) => order[a.status] - order[b.status]).forEach(item => {
+            const listItem = document.createElement('li');
+            listItem.className = 'bg-gray-50 dark:bg-gray-800/50 p-3 rounded-lg';
+            
+            const row = document.createElement('div');
+            row.className = 'flex items-center overflow-hidden';
+            
+            const badge = document.createElement('span');
+            badge.className = `mr-2 px-2 py-0.5 text-xs font-medium rounded whitespace-nowrap ${statusStyles[item.status].className}`;
+            badge.textContent = statusStyles[item.status].text;
+            
+            const fileName = document.createElement('span');
+            fileName.className = 'truncate';
+            fileName.textContent = item.path;
+            
+            row.appendChild(badge);
+            row.appendChild(fileName);
+            listItem.appendChild(row);
+            
+            // 已变化时显示大小变化和不一致的哈希值
+            if (item.status === 'changed') {
+                const details = document.createElement('div');
+                details.className = 'mt-2 text-xs font-mono break-all space-y-1';
+                
+                if (item.sizeChanged) {
+                    const sizeInfo = document.createElement('div');
+                    sizeInfo.textContent = `大小：${Utils.formatFileSize(item.entry.size)} → ${Utils.formatFileSize(item.file.size)}`;
+                    details.appendChild(sizeInfo);
+                }
+                
+                item.changes.forEach(change => {
+                    const label = AlgorithmRegistry.getLabel(change.algorithm);
+                    const expected = document.createElement('div');
+                    const actual = document.createElement('div');
+                    
+                    if (/^[0-9a-f]+$/i.test(change.actual || '')) {
+                        const [expectedHtml, actualHtml] = Utils.highlightDifferences(change.expected, change.actual);
+                        expected.innerHTML = `${label} 基准：${expectedHtml}`;
+                        actual.innerHTML = `${label} 当前：${actualHtml}`;
+                    } else {
+                        expected.textContent = `${label} 基准：${change.expected}`;
+                        actual.textContent = `${label} 当前：${change.actual || ''}`;
+                    }
+                    
+                    details.appendChild(expected);
+                    details.appendChild(actual);
+                });
+                
+                listItem.appendChild(details);
+            }
+            
+            list.appendChild(listItem);
+        });
+        
+        container.appendChild(list);
+        container.classList.remove('hidden');
+        
+        // 显示通知
+        if (noDrift) {
+            this.showNotification('对比完成', `全部 ${items.length} 个文件与基准一致`, 'success');
+        } else {
+            this.showNotification('发现差异', `${counts.changed} 个已变化，${counts.added} 个新增，${counts.missing} 个缺失`, 'warning');
+        }
+        
+        // 重新渲染Lucide图标
+        lucide.createIcons();
+    },
+    
+    /**
+     * 设置文件夹同步对比的文件夹选择和算法选项
+     */
+    setupFolderSync() {
+        const algorithmSelect = document.getElementById('sync-algorithm');
+        this.appendAlgorithmOptions(algorithmSelect);
+        algorithmSelect.value = 'sha256';
+        
+        ['left', 'right'].forEach(side => {
+            const input = document.getElementById(`sync-${side}-input`);
+            
+            input.addEventListener('change', () => {
+                const files = Array.from(input.files);
+                input.value = '';
+                if (files.length === 0) return;
+                
+                this.syncFolders[side] = FolderSync.createEntries(files, file => FileHandler.getRelativePath(file));
+                this.updateFolderSyncInfo(side);
+                
+                // 重新选择文件夹后旧的对比结果不再有效
+                document.getElementById('sync-result').classList.add('hidden');
+            });
+        });
+    },
+    
+    /**
+     * 更新一侧文件夹的说明文字和对比按钮状态
+     * @param {string} side - 'left' 或 'right'
+     */
+    updateFolderSyncInfo(side) {
+        const folder = this.syncFolders[side];
+        const totalSize = folder.entries.reduce((sum, entry) => sum + entry.size, 0);
+        
+        document.getElementById(`sync-${side}-info`).textContent =
+            `${folder.root || '已选择文件夹'}（${folder.entries.length} 个文件，${Utils.formatFileSize(totalSize)}）`;
+        document.getElementById('sync-compare-btn').disabled = !(this.syncFolders.left && this.syncFolders.right);
+    },
+    
+    /**
+     * 对比左右两个文件夹
+     * 路径相同且大小相同的文件，以及可能是移动或改名的文件需要计算哈希值，其余文件只比较路径和大小
+     */
+    async compareFolders() {
+        const { left, right } = this.syncFolders;
+        const algorithm = document.getElementById('sync-algorithm').value;
+        const compareBtn = document.getElementById('sync-compare-btn');
+        
+        if (!left || !right) {
+            this.showNotification('请选择文件夹', '请先选择左右两个要对比的文件夹', 'warning');
+            return;
+        }
+        
+        const matched = FolderSync.match(left.entries, right.entries);
+        const files = FolderSync.getFilesToHash(matched);
+        
+        compareBtn.disabled = true;
+        this.beginHashTask('sync');
+        
+        try {
+            const results = await this.hashTaskFiles('sync', files.map(file => ({ file, algorithms: [algorithm] })));
+            const hashes = new Map(Array.from(results, ([file, hashValues]) => [file, hashValues[algorithm]]));
+            
+            this.renderFolderSyncResult(FolderSync.compare(matched, hashes), algorithm);
+        } catch (error) {
+            if (HashCalculator.isAbortError(error)) {
+                this.showNotification('对比已取消', '已取消文件夹对比', 'warning');
+            } else {
+                console.error('对比文件夹失败:', error);
+                this.showNotification('对比失败', error.message, 'error');
+            }
+        } finally {
+            this.endHashTask('sync');
+            compareBtn.disabled = false;
+        }
+    },
+    
+    /**
+     * 显示文件夹同步对比报告
+     * 有差异的文件逐项列出，相同的文件折叠显示
+     * @param {Array<Object>} items - FolderSync.compare 返回的报告条目
+     * @param {string} algorithm - 对比使用的算法
+     */
+    renderFolderSyncResult(items, algorithm) {
+        const container = document.getElementById('sync-result');
+        container.innerHTML = '';
+        
+        const counts = { identical: 0, modified: 0, moved: 0, 'only-left': 0, 'only-right': 0, failed: 0 };
+        items.forEach(item => counts[item.status]++);
+        
+        const inSync = counts.identical === items.length;
+        const summaryText = `${counts.identical} 个相同，${counts.modified} 个已修改，${counts.moved} 个移动或改名，` +
+            `${counts['only-left']} 个只在左侧，${counts['only-right']} 个只在右侧` +
+            (counts.failed > 0 ? `，${counts.failed} 个计算失败` : '');
+        
+        // 汇总
+        const summary = document.createElement('div');
+        summary.className = `p-4 rounded-lg border mb-3 ${inSync ? 'comparison-match' : 'comparison-mismatch'}`;
+        
+        const summaryIcon = document.createElement('i');
+        summaryIcon.className = `w-6 h-6 inline-block mr-2 ${inSync ? 'text-green-500' : 'text-red-500'}`;
+        summaryIcon.setAttribute('data-lucide', inSync ? 'check-circle' : 'x-circle');
+        
+        const summaryTitle = document.createElement('h3');
+        summaryTitle.className = `font-medium flex items-center ${inSync ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`;
+        summaryTitle.appendChild(summaryIcon);
+        summaryTitle.appendChild(document.createTextNode(inSync ? `两个文件夹中的 ${items.length} 个文件完全相同` : summaryText));
+        
+        const summaryDetail = document.createElement('p');
+        summaryDetail.className = 'text-sm mt-1';
+        summaryDetail.textContent = `使用 ${AlgorithmRegistry.getLabel(algorithm)} 比较文件内容`;
+        
+        summary.appendChild(summaryTitle);
+        summary.appendChild(summaryDetail);
+        container.appendChild(summary);
+        
+        const statusStyles = {
+            modified: { text: '已修改', className: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300' },
+            moved: { text: '移动/改名', className: 'bg-purple-100 text-purple-700 dark:bg-purple-900/40 dark:text-purple-300' },
+            'only-left': { text: '只在左侧', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300' },
+            'only-right': { text: '只在右侧', className: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300' },
+            failed: { text: '计算失败', className: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300' },
+            identical: { text: '相同', className: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300' }
+        };
+        
+        const createList = (listItems) => {
+            const list = document.createElement('ul');
+            list.className = 'space-y-2';
+            
+            listItems.forEach(item => {
+                const listItem = document.createElement('li');
+                listItem.className = 'bg-gray-50 dark:bg-gray-800/50 p-3 rounded-lg';
+                
+                const row = document.createElement('div');
+                row.className = 'flex items-center overflow-hidden';
+                
+                const badge = document.createElement('span');
+                badge.className = `mr-2 px-2 py-0.5 text-xs font-medium rounded whitespace-nowrap ${statusStyles[item.status].className}`;
+                badge.textContent = statusStyles[item.status].text;
+                
+                const fileName = document.createElement('span');
+                fileName.className = 'truncate';
+                fileName.textContent = item.status === 'moved' ? `${item.leftPath} → ${item.rightPath}` : item.path;
+                fileName.setAttribute('title', fileName.textContent);
+                
+                row.appendChild(badge);
+                row.appendChild(fileName);
+                listItem.appendChild(row);
+                
+                // 已修改和计算失败时显示两侧的大小或错误信息
+                if (item.status === 'modified' || item.status === 'failed') {
+                    const details = document.createElement('div');
+                    details.className = 'mt-2 text-xs text-gray-600 dark:text-gray-400 break-all';
+                    if (item.status === 'failed') {
+                        details.textContent = item.error || '未计算';
+                    } else if (item.left.size !== item.right.size) {
+                        details.textContent = `大小：${Utils.formatFileSize(item.left.size)} → ${Utils.formatFileSize(item.right.size)}`;
+                    } else {
+                        details.textContent = `大小相同（${Utils.formatFileSize(item.left.size)}），内容不同`;
+                    }
+                    listItem.appendChild(details);
+                }
+                
+                list.appendChild(listItem);
+            });
+            
+            return list;
+        };
+        
+        // 有差异的文件按状态排列
+        const order = ['modified', 'moved', 'only-left', 'only-right', 'failed'];
+        const differences = items.filter(item => item.status !== 'identical')
+            .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+        if (differences.length > 0) {
+            container.appendChild(createList(differences));
+        }
+        
+        // 相同的文件可能很多，默认折叠
+        const identical = items.filter(item => item.status === 'identical');
+        if (identical.length > 0) {
+            const details = document.createElement('details');
+            details.className = 'mt-3';
+            
+            const detailsSummary = document.createElement('summary');
+            detailsSummary.className = 'cursor-pointer text-sm text-gray-600 dark:text-gray-400 mb-2';
+            detailsSummary.textContent = `${identical.length} 个相同的文件`;
+            
+            details.appendChild(detailsSummary);
+            details.appendChild(createList(identical));
+            container.appendChild(details);
+        }
+        
+        container.classList.remove('hidden');
+        
+        // 显示通知
+        if (inSync) {
+            this.showNotification('对比完成', `两个文件夹中的 ${items.length} 个文件完全相同`, 'success');
+        } else {
+            this.showNotification('发现差异', summaryText, 'warning');
+        }
+        
+        // 重新渲染Lucide图标
+        lucide.createIcons();
+    },
+    
+    /**
+     * 在选中的文件中查找重复文件
+     * 依次按大小、快速哈希和强哈希分组，每一轮只计算上一轮仍有相同候选的文件
+     */
+    async findDuplicates() {
+        const findBtn = document.getElementById('duplicate-find-btn');
+        
+        if (FileHandler.selectedFiles.length === 0) {
+            this.showNotification('没有选择文件', '请先在计算页面选择要查找的文件或文件夹', 'warning');
+            return;
+        }
+        
+        const entries = FileHandler.selectedFiles.map(file => ({ path: FileHandler.getRelativePath(file), size: file.size, file }));
+        
+        // 计算一组文件的哈希值，读取失败的文件由 refineByHash 排除
+        const hashEntries = async (groups, algorithm, stage) => {
+            const files = groups.reduce((all, group) => all.concat(group.map(entry => entry.file)), []);
+            const results = await this.hashTaskFiles('duplicate', files.map(file => ({ file, algorithms: [algorithm] })), stage);
+            return new Map(Array.from(results, ([file, hashValues]) => [file, hashValues[algorithm]]));
+        };
+        
+        findBtn.disabled = true;
+        this.beginHashTask('duplicate');
+        let message = '';
+        
+        try {
+            const sizeGroups = DuplicateFinder.groupBySize(entries);
+            const fastGroups = DuplicateFinder.refineByHash(sizeGroups,
+                await hashEntries(sizeGroups, DuplicateFinder.fastAlgorithm, `快速筛选（${AlgorithmRegistry.getLabel(DuplicateFinder.fastAlgorithm)}）`));
+            const strongHashes = await hashEntries(fastGroups, DuplicateFinder.strongAlgorithm, `确认（${AlgorithmRegistry.getLabel(DuplicateFinder.strongAlgorithm)}）`);
+            
+            this.duplicateSets = DuplicateFinder.buildSets(DuplicateFinder.refineByHash(fastGroups, strongHashes), strongHashes);
+            message = `已检查 ${entries.length} 个文件`;
+            this.renderDuplicateResult();
+        } catch (error) {
+            if (HashCalculator.isAbortError(error)) {
+                this.showNotification('查找已取消', '已取消查找重复文件', 'warning');
+            } else {
+                console.error('查找重复文件失败:', error);
+                this.showNotification('查找失败', error.message, 'error');
+            }
+        } finally {
+            this.endHashTask('duplicate', message);
+            findBtn.disabled = false;
+        }
+    },
+    
+    /**
+     * 显示重复文件组
+     */
+    renderDuplicateResult() {
+        const container = document.getElementById('duplicate-result');
+        const sets = this.duplicateSets;
+        container.innerHTML = '';
+        
+        const totalWasted = DuplicateFinder.getTotalWasted(sets);
+        const redundantCount = DuplicateFinder.getRedundantPaths(sets).length;
+        
+        // 汇总
+        const summary = document.createElement('div');
+        summary.className = `p-4 rounded-lg border mb-3 flex flex-col sm:flex-row sm:items-center gap-2 ${sets.length === 0 ? 'comparison-match' : 'comparison-mismatch'}`;
+        
+        const summaryTitle = document.createElement('h3');
+        summaryTitle.className = `font-medium flex items-center ${sets.length === 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`;
+        
+        const summaryIcon = document.createElement('i');
+        summaryIcon.className = `w-6 h-6 inline-block mr-2 ${sets.length === 0 ? 'text-green-500' : 'text-red-500'}`;
+        summaryIcon.setAttribute('data-lucide', sets.length === 0 ? 'check-circle' : 'copy');
+        
+        summaryTitle.appendChild(summaryIcon);
+        summaryTitle.appendChild(document.createTextNode(sets.length === 0
+            ? '没有发现重复文件'
+            : `${sets.length} 组重复文件，${redundantCount} 个多余文件，共浪费 ${Utils.formatFileSize(totalWasted)}`));
+        summary.appendChild(summaryTitle);
+        
+        if (sets.length > 0) {
+            const exportBtn = document.createElement('button');
+            exportBtn.id = 'duplicate-export-btn';
+            exportBtn.className = 'btn-secondary whitespace-nowrap sm:ml-auto flex items-center';
+            exportBtn.innerHTML = '<i data-lucide="download" class="w-4 h-4 mr-2"></i>导出多余文件列表';
+            exportBtn.addEventListener('click', () => {
+                this.exportRedundantPaths();
+            });
+            summary.appendChild(exportBtn);
+        }
+        
+        container.appendChild(summary);
+        
+        // 每个重复文件组
+        const list = document.createElement('div');
+        list.className = 'space-y-3';
+        
+        sets.forEach((set, setIndex) => {
+            const group = document.createElement('div');
+            group.className = 'p-3 bg-gray-50 dark:bg-gray-800/50 rounded-lg';
+            
+            const header = document.createElement('div');
+            header.className = 'flex flex-col sm:flex-row sm:justify-between text-sm mb-2';
+            
+            const headerText = document.createElement('span');
+            headerText.className = 'font-medium';
+            headerText.textContent = `${set.entries.length} 个相同的文件，每个 ${Utils.formatFileSize(set.size)}`;
+            
+            const wasted = document.createElement('span');
+            wasted.className = 'text-red-600 dark:text-red-400';
+            wasted.textContent = `浪费 ${Utils.formatFileSize(set.wasted)}`;
+            
+            header.appendChild(headerText);
+            header.appendChild(wasted);
+            
+            const hashText = document.createElement('code');
+            hashText.className = 'block text-xs text-gray-500 font-mono break-all mb-2';
+            hashText.textContent = `${AlgorithmRegistry.getLabel(DuplicateFinder.strongAlgorithm)}: ${set.hash}`;
+            
+            // 选择要保留的文件，其余文件标记为多余
+            const files = document.createElement('ul');
+            files.className = 'space-y-1 text-sm';
+            
+            const badges = [];
+            const updateBadges = () => {
+                badges.forEach((badge, index) => {
+                    const keep = index === set.keep;
+                    badge.textContent = keep ? '保留' : '多余';
+                    badge.className = `ml-auto px-2 py-0.5 text-xs font-medium rounded whitespace-nowrap ${keep
+                        ? 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300'
+                        : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300'}`;
+                });
+            };
+            
+            set.entries.forEach((entry, index) => {
+                const item = document.createElement('li');
+                
+                const label = document.createElement('label');
+                label.className = 'flex items-center gap-2 cursor-pointer overflow-hidden';
+                
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `duplicate-keep-${setIndex}`;
+                radio.checked = index === set.keep;
+                radio.className = 'text-primary focus:ring-primary';
+                radio.addEventListener('change', () => {
+                    set.keep = index;
+                    updateBadges();
+                });
+                
+                const path = document.createElement('span');
+                path.className = 'truncate';
+                path.textContent = entry.path;
+                path.setAttribute('title', entry.path);
+                
+                const badge = document.createElement('span');
+                badges.push(badge);
+                
+                label.appendChild(radio);
+                label.appendChild(path);
+                label.appendChild(badge);
+                item.appendChild(label);
+                files.appendChild(item);
+            });
+            updateBadges();
+            
+            group.appendChild(header);
+            group.appendChild(hashText);
+            group.appendChild(files);
+            list.appendChild(group);
+        });
+        
+        container.appendChild(list);
+        container.classList.remove('hidden');
+        
+        // 显示通知
+        if (sets.length === 0) {
+            this.showNotification('查找完成', '没有发现重复文件', 'success');
+        } else {
+            this.showNotification('发现重复文件', `${sets.length} 组重复文件，共浪费 ${Utils.formatFileSize(totalWasted)}`, 'warning');
+        }
+        
+        // 重新渲染Lucide图标
+        lucide.createIcons();
+    },
+    
+    /**
+     * 导出多余文件（每组中未选择保留的文件）的路径列表，每行一个路径
+     */
+    exportRedundantPaths() {
+        const paths = DuplicateFinder.getRedundantPaths(this.duplicateSets);
+        
+        if (paths.length === 0) {
+            this.showNotification('没有多余文件', '没有可导出的多余文件', 'warning');
+            return;
+        }
+        
+        Utils.downloadFile(paths.join('\n') + '\n', 'redundant-files.txt', 'text/plain');
+        this.showNotification('导出成功', `已导出 ${paths.length} 个多余文件的路径`, 'success');
+    },
+    
+    /**
+     * 设置历史记录页面的搜索和清空
+     */
+    setupHistory() {
+        document.getElementById('history-search').addEventListener('input', () => {
+            this.renderHistory();
+        });
+        
+        document.getElementById('history-clear-btn').addEventListener('click', () => {
+            this.clearHistory();
+        });
+    },
+    
+    /**
+     * 从 IndexedDB 读取历史记录并显示
+     * 关闭“保存计算历史”后已保存的记录仍然可以查看和删除
+     */
+    async loadHistory() {
+        const status = document.getElementById('history-status');
+        
+        if (!HistoryStore.isSupported()) {
+            status.textContent = '当前浏览器不支持 IndexedDB，无法保存计算历史。';
+            this.historyRuns = [];
+            this.renderHistory();
+            return;
+        }
+        
+        status.textContent = SettingsManager.get('saveHistory')
+            ? '每次计算的文件名、路径、大小、修改时间和哈希值会保存在本机浏览器中（不保存文件内容和 HMAC 密钥）。'
+            : '计算历史未开启，可以在设置中开启"保存计算历史"。已保存的记录仍可查看、导出和删除。';
+        
+        try {
+            this.historyRuns = await HistoryStore.getRuns();
+        } catch (error) {
+            console.error('读取历史记录失败:', error);
+            this.historyRuns = [];
+            this.showNotification('读取失败', `无法读取历史记录: ${error.message}`, 'error');
+        }
+        
+        this.renderHistory();
+    },
+    
+    /**
+     * 按搜索词显示历史记录
+     * 有搜索词时只显示包含匹配文件的记录，并只列出匹配的文件
+     */
+    renderHistory() {
+        const list = document.getElementById('history-list');
+        const query = document.getElementById('history-search').value;
+        list.innerHTML = '';
+        
+        document.getElementById('history-clear-btn').disabled = this.historyRuns.length === 0;
+        
+        const runs = this.historyRuns
+            .map(run => ({ run, matches: HistoryStore.filterResults(run, query) }))
+            .filter(item => item.matches.length > 0);
+        
+        if (runs.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-sm text-gray-500 text-center py-6';
+            empty.textContent = this.historyRuns.length === 0 ? '暂无计算历史' : '没有匹配的记录';
+            list.appendChild(empty);
+            return;
+        }
+        
+        runs.forEach(({ run, matches }) => {
+            const item = document.createElement('div');
+            item.className = 'p-3 bg-gray-50 dark:bg-gray-800/50 rounded-lg';
+            
+            // 记录头部：时间、文件数量、算法和操作按钮
+            const header = document.createElement('div');
+            header.className = 'flex flex-col sm:flex-row sm:items-center gap-2';
+            
+            const summary = document.createElement('div');
+            summary.className = 'flex-1 min-w-0';
+            
+            const title = document.createElement('div');
+            title.className = 'font-medium text-sm';
+            const totalSize = run.results.reduce((sum, result) => sum + result.size, 0);
+            title.textContent = `${Utils.formatTimestamp(run.timestamp)} · ${run.results.length} 个文件，${Utils.formatFileSize(totalSize)}`;
+            
+            const algorithms = document.createElement('div');
+            algorithms.className = 'text-xs text-gray-500 truncate';
+            algorithms.textContent = run.info.algorithms.map(algorithm => AlgorithmRegistry.getLabel(algorithm)).join('、');
+            
+            summary.appendChild(title);
+            summary.appendChild(algorithms);
+            
+            const actions = document.createElement('div');
+            actions.className = 'flex gap-2';
+            
+            const exportBtn = document.createElement('button');
+            exportBtn.className = 'btn-secondary text-sm py-1 px-3 flex items-center';
+            exportBtn.innerHTML = '<i data-lucide="download" class="w-4 h-4 mr-1"></i>导出';
+            exportBtn.addEventListener('click', () => {
+                this.openExportModal({ results: run.results, info: run.info, treeDigest: run.treeDigest });
+            });
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn-secondary text-sm py-1 px-3 flex items-center';
+            deleteBtn.innerHTML = '<i data-lucide="trash-2" class="w-4 h-4 mr-1"></i>删除';
+            deleteBtn.addEventListener('click', () => {
+                this.deleteHistoryRun(run.id);
+            });
+            
+            actions.appendChild(exportBtn);
+            actions.appendChild(deleteBtn);
+            header.appendChild(summary);
+            header.appendChild(actions);
+            item.appendChild(header);
+            
+            // 文件列表，搜索时默认展开
+            const details = document.createElement('details');
+            details.className = 'mt-2';
+            details.open = Boolean(query.trim());
+            
+            const detailsSummary = document.createElement('summary');
+            detailsSummary.className = 'cursor-pointer text-sm text-gray-600 dark:text-gray-400';
+            detailsSummary.textContent = matches.length === run.results.length
+                ? `查看 ${matches.length} 个文件`
+                : `${matches.length} 个匹配的文件`;
+            details.appendChild(detailsSummary);
+            
+            const files = document.createElement('ul');
+            files.className = 'mt-2 space-y-2';
+            
+            matches.forEach(result => {
+                const file = document.createElement('li');
+                file.className = 'text-xs';
+                
+                const name = document.createElement('div');
+                name.className = 'font-medium text-sm truncate';
+                name.textContent = result.path;
+                name.setAttribute('title', result.path);
+                
+                const meta = document.createElement('div');
+                meta.className = 'text-gray-500';
+                meta.textContent = result.lastModified
+                    ? `${Utils.formatFileSize(result.size)} · 修改于 ${Utils.formatTimestamp(result.lastModified)}`
+                    : Utils.formatFileSize(result.size);
+                
+                file.appendChild(name);
+                file.appendChild(meta);
+                
+                Object.entries(result.hashValues).forEach(([algorithm, hash]) => {
+                    const hashLine = document.createElement('div');
+                    hashLine.className = 'font-mono break-all';
+                    hashLine.textContent = `${AlgorithmRegistry.getLabel(algorithm)}: ${hash}`;
+                    file.appendChild(hashLine);
+                });
+                
+                files.appendChild(file);
+            });
+            
+            details.appendChild(files);
+            item.appendChild(details);
+            list.appendChild(item);
+        });
+        
+        // 重新渲染Lucide图标
+        lucide.createIcons();
+    },
+    
+    /**
+     * 删除一条历史记录
+     * @param {number} id - 记录编号
+     */
+    async deleteHistoryRun(id) {
+        try {
+            await HistoryStore.deleteRun(id);
+            this.historyRuns = this.historyRuns.filter(run => run.id !== id);
+            this.renderHistory();
+            this.showNotification('已删除', '已删除这条计算记录', 'success');
+        } catch (error) {
+            console.error('删除历史记录失败:', error);
+            this.showNotification('删除失败', error.message, 'error');
+        }
+    },
+    
+    /**
+     * 清空所有历史记录
+     */
+    async clearHistory() {
+        if (this.historyRuns.length === 0) return;
+        if (!window.confirm(`确定要删除全部 ${this.historyRuns.length} 条计算记录吗？此操作无法撤销。`)) return;
+        
+        try {
+            await HistoryStore.clear();
+            this.historyRuns = [];
+            this.renderHistory();
+            this.showNotification('已清空', '已删除所有计算记录', 'success');
+        } catch (error) {
+            console.error('清空历史记录失败:', error);
+            this.showNotification('清空失败', error.message, 'error');
+        }
+    },
+    
+    /**
+     * 设置文本输入方式：切换输入方式，输入内容、格式或算法变化时重新计算
+     */
+    setupTextInput() {
+        document.querySelectorAll('.input-mode-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.switchInputMode(tab.dataset.mode);
+            });
+        });
+        
+        ['text-input', 'text-encoding', 'text-line-ending'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.scheduleTextDigest());
+            document.getElementById(id).addEventListener('change', () => this.scheduleTextDigest());
+        });
+        
+        // 算法、HMAC 密钥和算法参数都在算法选择卡片中，统一监听
+        const algorithmCard = document.getElementById('algorithm-selector').closest('.card');
+        algorithmCard.addEventListener('input', () => this.scheduleTextDigest());
+        algorithmCard.addEventListener('change', () => this.scheduleTextDigest());
+    },
+    
+    /**
+     * 切换文件、文本和网址输入方式
+     * @param {string} mode - 'file'、'text' 或 'url'
+     */
+    switchInputMode(mode) {
+        this.inputMode = mode;
+        
+        document.querySelectorAll('.input-mode-tab').forEach(tab => {
+            const active = tab.dataset.mode === mode;
+            tab.classList.toggle('bg-primary', active);
+            tab.classList.toggle('text-white', active);
+        });
+        
+        const titles = { file: '选择文件', text: '输入文本或数据', url: '计算网址内容' };
+        document.getElementById('input-card-title').textContent = titles[mode];
+        document.getElementById('file-input-panel').classList.toggle('hidden', mode !== 'file');
+        document.getElementById('text-input-panel').classList.toggle('hidden', mode !== 'text');
+        document.getElementById('url-input-panel').classList.toggle('hidden', mode !== 'url');
+        document.getElementById('calculate-card').classList.toggle('hidden', mode !== 'file');
+        
+        if (mode === 'text') {
+            this.scheduleTextDigest();
+        }
+    },
+    
+    /**
+     * 按文本输入框的格式和换行符设置把内容转换为字节
+     * @returns {Uint8Array} 字节数组
+     */
+    getTextBytes() {
+        const text = document.getElementById('text-input').value;
+        const encoding = document.getElementById('text-encoding').value;
+        
+        if (encoding === 'utf8') {
+            return Utils.decodeBytes(Utils.normalizeLineEndings(text, document.getElementById('text-line-ending').value), 'utf8');
+        }
+        return Utils.decodeBytes(text, encoding);
+    },
+    
+    /**
+     * 输入停顿后再计算文本的哈希值，避免每输入一个字符都重新计算
+     */
+    scheduleTextDigest() {
+        if (this.inputMode !== 'text') return;
+        
+        clearTimeout(this.textDigestTimer);
+        this.textDigestTimer = setTimeout(() => {
+            this.textDigestTimer = null;
+            this.updateTextDigest();
+        }, 150);
+    },
+    
+    /**
+     * 使用与文件相同的算法、HMAC 密钥和算法参数计算文本的哈希值并显示
+     */
+    async updateTextDigest() {
+        const sequence = ++this.textDigestSequence;
+        const encoding = document.getElementById('text-encoding').value;
+        const algorithms = FileHandler.getSelectedAlgorithms();
+        
+        // 换行符只对 UTF-8 文本有意义
+        document.getElementById('text-line-ending').disabled = encoding !== 'utf8';
+        
+        let bytes, hmacKey, outputLengths, algorithmKeys;
+        try {
+            bytes = this.getTextBytes();
+            document.getElementById('text-byte-count').textContent = `${bytes.length} 字节`;
+            
+            if (algorithms.length === 0) {
+                throw new Error('请至少选择一种哈希算法');
+            }
+            hmacKey = algorithms.some(algorithm => algorithm.startsWith('hmac-')) ? this.getHmacKey() : null;
+            outputLengths = this.getOutputLengths();
+            algorithmKeys = this.getAlgorithmKeys();
+        } catch (error) {
+            this.renderTextDigest(null, error.message);
+            return;
+        }
+        
+        try {
+            const result = await HashCalculator.calculateMultipleHashes(new File([bytes], 'text'), algorithms, {
+                hmacKey,
+                outputLengths,
+                algorithmKeys
+            });
+            
+            // 计算期间内容又发生了变化时丢弃旧的结果
+            if (sequence === this.textDigestSequence) {
+                this.renderTextDigest(result.hashValues);
+            }
+        } catch (error) {
+            console.error('计算文本哈希值失败:', error);
+            if (sequence === this.textDigestSequence) {
+                this.renderTextDigest(null, error.message);
+            }
+        }
+    },
+    
+    /**
+     * 显示文本的哈希值或错误信息
+     * @param {Object|null} hashValues - 各算法的哈希值
+     * @param {string} errorMessage - 错误信息
+     */
+    renderTextDigest(hashValues, errorMessage = '') {
+        const container = document.getElementById('text-results');
+        container.innerHTML = '';
+        
+        if (!hashValues) {
+            const error = document.createElement('p');
+            error.className = 'text-sm text-red-600 dark:text-red-400';
+            error.textContent = errorMessage;
+            container.appendChild(error);
+            return;
+        }
+        
+        this.appendDigestRows(container, hashValues);
+    },
+    
+    /**
+     * 在容器中逐行显示各算法的哈希值，条目与文件结果相同（含复制按钮和非加密标记）
+     * @param {HTMLElement} container - 容器
+     * @param {Object} hashValues - 各算法的哈希值
+     */
+    appendDigestRows(container, hashValues) {
+        Object.entries(hashValues).forEach(([algorithm, hash]) => {
+            container.appendChild(FileHandler.createHashItem(algorithm, hash));
+        });
+        
+        // 重新渲染Lucide图标
+        lucide.createIcons();
+    },
+    
+    /**
+     * 设置网址输入：下载并计算、取消，以及在输入框中按回车开始计算
+     */
+    setupUrlInput() {
+        document.getElementById('url-hash-btn').addEventListener('click', () => {
+            this.hashUrl();
+        });
+        
+        document.getElementById('url-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.hashUrl();
+            }
+        });
+        
+        document.getElementById('url-cancel-btn').addEventListener('click', () => {
+            if (this.urlControl) {
+                this.urlControl.cancel();
+            }
+        });
+    },
+    
+    /**
+     * 边下载边计算网址内容的哈希值
+     */
+    async hashUrl() {
+        if (this.urlControl) return;
+        
+        const url = document.getElementById('url-input').value.trim();
+        const algorithms = FileHandler.getSelectedAlgorithms();
+        const results = document.getElementById('url-results');
+        
+        let protocol, hmacKey, outputLengths, algorithmKeys;
+        try {
+            protocol = new URL(url).protocol;
+        } catch (error) {
+            this.showNotification('网址无效', '请输入完整的网址，如 https://example.com/file.zip', 'error');
+            return;
+        }
+        
+        if (protocol !== 'http:' && protocol !== 'https:') {
+            this.showNotification('网址无效', '只支持 http 和 https 网址', 'error');
+            return;
+        }
+        
+        if (algorithms.length === 0) {
+            this.showNotification('请选择算法', '请至少选择一种哈希算法', 'error');
+            return;
+        }
+        
+        try {
+            hmacKey = algorithms.some(algorithm => algorithm.startsWith('hmac-')) ? this.getHmacKey() : null;
+            outputLengths = this.getOutputLengths();
+            algorithmKeys = this.getAlgorithmKeys();
+        } catch (error) {
+            this.showNotification('参数无效', error.message, 'error');
+            return;
+        }
+        
+        const control = HashCalculator.createCalculationControl();
+        const button = document.getElementById('url-hash-btn');
+        this.urlControl = control;
+        button.disabled = true;
+        results.innerHTML = '';
+        this.updateUrlProgress({ processed: 0, total: null, percentage: null });
+        document.getElementById('url-progress-container').classList.remove('hidden');
+        
+        try {
+            const result = await HashCalculator.calculateUrlHashes(url, algorithms, {
+                hmacKey,
+                outputLengths,
+                algorithmKeys,
+                control,
+                onProgress: (progress) => this.updateUrlProgress(progress)
+            });
+            
+            this.renderUrlResult(result);
+            this.showNotification('计算完成', `已计算 ${result.filename}（${Utils.formatFileSize(result.size)}）的哈希值`, 'success');
+        } catch (error) {
+            if (HashCalculator.isAbortError(error)) {
+                this.showNotification('已取消', '已停止下载', 'info');
+            } else {
+                console.error('计算网址哈希值失败:', error);
+                const message = document.createElement('p');
+                message.className = 'text-sm text-red-600 dark:text-red-400';
+                message.textContent = error.message;
+                results.appendChild(message);
+                this.showNotification('计算失败', error.message, 'error');
+            }
+        } finally {
+            this.urlControl = null;
+            button.disabled = false;
+            document.getElementById('url-progress-container').classList.add('hidden');
+        }
+    },
+    
+    /**
+     * 更新网址下载进度，服务器没有返回 Content-Length 时只显示已下载的大小
+     * @param {Object} progress - { processed, total, percentage }
+     */
+    updateUrlProgress(progress) {
+        const { processed, total, percentage } = progress;
+        const known = percentage !== null;
+        
+        document.getElementById('url-progress-size').textContent = total
+            ? `${Utils.formatFileSize(processed)} / ${Utils.formatFileSize(total)}`
+            : Utils.formatFileSize(processed);
+        document.getElementById('url-progress-percentage').textContent = known ? `${percentage}%` : '大小未知';
+        document.getElementById('url-progress-value').style.width = known ? `${percentage}%` : '100%';
+        document.getElementById('url-progress-value').classList.toggle('animate-pulse', !known);
+    },
+    
+    /**
+     * 显示网址内容的哈希值，以网址作为标题
+     * @param {Object} result - HashCalculator.calculateUrlHashes 的结果
+     */
+    renderUrlResult(result) {
+        const container = document.getElementById('url-results');
+        container.innerHTML = '';
+        
+        const header = document.createElement('div');
+        header.className = 'flex items-start';
+        
+        const icon = document.createElement('i');
+        icon.setAttribute('data-lucide', 'link');
+        icon.className = 'w-5 h-5 mr-2 mt-0.5 text-primary flex-shrink-0';
+        
+        const info = document.createElement('div');
+        info.className = 'min-w-0';
+        
+        const link = document.createElement('a');
+        link.className = 'font-medium font-mono text-sm break-all hover:text-primary';
+        link.href = result.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = result.url;
+        
+        const details = document.createElement('p');
+        details.className = 'text-xs text-gray-500 dark:text-gray-400';
+        details.textContent = [
+            Utils.formatFileSize(result.size),
+            result.type,
+            `用时 ${(result.duration / 1000).toFixed(2)} 秒`
+        ].filter(Boolean).join(' · ');
+        
+        info.appendChild(link);
+        info.appendChild(details);
+        header.appendChild(icon);
+        header.appendChild(info);
+        container.appendChild(header);
+        
+        this.appendDigestRows(container, result.hashValues);
     }
-};
\ No newline at end of file
+};
@@ -20,6 +20,26 @@ const Utils = {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     },
 
+    /**
+     * 解析文件大小字符串，例如 '1024'、'500 KB'、'1.5M'、'2GB'（按 1024 进制）
+     * @param {string} text - 文件大小字符串
+     * @returns {number|null} 字节数，输入为空时返回 null
+     */
+    parseFileSize(text) {
+        const value = String(text || '').trim();
+        if (!value) return null;
+        
+        const match = value.match(/^(\d+(?:\.\d+)?)\s*(B|BYTES?|K|KB|M|MB|G|GB|T|TB)?$/i);
+        if (!match) {
+            throw new Error(`无效的文件大小: ${value}`);
+        }
+        
+        const units = { b: 0, byte: 0, bytes: 0, k: 1, kb: 1, m: 2, mb: 2, g: 3, gb: 3, t: 4, tb: 4 };
+        const exponent = units[(match[2] || 'b').toLowerCase()];
+        
+        return Math.round(parseFloat(match[1]) * Math.pow(1024, exponent));
+    },
+
     /**
      * 格式化时间戳
      * @param {number} timestamp - 时间戳
@@ -38,21 +58,14 @@ const Utils = {
     },
 
     /**
-     * 计算估计剩余时间
-     * @param {number} processed - 已处理的字节数
-     * @param {number} total - 总字节数
-     * @param {number} startTime - 开始时间戳
-     * @returns {string} 估计剩余时间字符串
+     * 格式化剩余时间
+     * @param {number|null} remainingMs - 剩余毫秒数，未知时为 null
+     * @returns {string} 剩余时间字符串
      */
-    calculateRemainingTime(processed, total, startTime) {
-        if (processed === 0) return '计算中...';
-        
-        const elapsed = Date.now() - startTime;
-        const rate = processed / elapsed; // 字节/毫秒
-        const remainingBytes = total - processed;
-        const remainingMs = remainingBytes / rate;
-        
-        if (remainingMs < 1000) {
+    formatRemainingTime(remainingMs) {
+        if (remainingMs === null || !isFinite(remainingMs)) {
+            return '计算中...';
+        } else if (remainingMs < 1000) {
             return '即将完成';
         } else if (remainingMs < 60000) {
             return `${Math.ceil(remainingMs / 1000)} 秒`;
@@ -63,6 +76,15 @@ const Utils = {
         }
     },
 
+    /**
+     * 格式化读取速度
+     * @param {number|null} bytesPerSecond - 每秒字节数，未知时为 null
+     * @returns {string} 速度字符串，如 "85.3 MB/s"
+     */
+    formatSpeed(bytesPerSecond) {
+        return bytesPerSecond ? `${this.formatFileSize(Math.round(bytesPerSecond))}/s` : '';
+    },
+
     /**
      * 生成唯一ID
      * @returns {string} 唯一ID
@@ -128,9 +150,10 @@ const Utils = {
      * 导出结果为TXT格式
      * @param {Array} results - 计算结果数组
      * @param {boolean} includeTimestamp - 是否包含时间戳
+     * @param {Object|null} treeDigest - 目录树摘要
      * @returns {string} TXT格式的内容
      */
-    exportAsTxt(results, includeTimestamp = true) {
+    exportAsTxt(results, includeTimestamp = true, treeDigest = null) {
         let content = '文件哈希计算结果\n';
         content += '=' .repeat(50) + '\n\n';
         
@@ -138,20 +161,51 @@ const Utils = {
             content += `生成时间: ${this.formatTimestamp(Date.now())}\n\n`;
         }
         
+        if (treeDigest) {
+            content += this.formatTreeDigest(treeDigest) + '\n';
+        }
+        
         results.forEach(result => {
-            content += `文件名: ${result.filename}\n`;
+            content += `文件名: ${result.path}\n`;
             content += `文件大小: ${this.formatFileSize(result.size)}\n`;
             
             Object.entries(result.hashValues).forEach(([algorithm, hash]) => {
-                content += `${algorithm.toUpperCase()}: ${hash}\n`;
+                content += `${AlgorithmRegistry.getLabel(algorithm)}: ${hash}\n`;
             });
             
+            // 压缩包内的文件缩进显示
+            if (result.archive) {
+                content += `压缩包内的文件: ${result.archive.error ? `无法读取（${result.archive.error}）` : `${result.archive.entries.length} 个`}\n`;
+                result.archive.entries.forEach(entry => {
+                    content += `  ${entry.path} (${this.formatFileSize(entry.size)})`;
+                    content += entry.crcCheck ? ` CRC32 ${entry.crcCheck === 'ok' ? '匹配' : '不匹配'}\n` : '\n';
+                    Object.entries(entry.hashValues).forEach(([algorithm, hash]) => {
+                        content += `    ${AlgorithmRegistry.getLabel(algorithm)}: ${hash}\n`;
+                    });
+                });
+            }
+            
             content += '\n';
         });
         
         return content;
     },
 
+    /**
+     * 把目录树摘要格式化为文本
+     * @param {Object} treeDigest - 目录树摘要
+     * @returns {string} 文本内容
+     */
+    formatTreeDigest(treeDigest) {
+        let content = `目录树摘要${treeDigest.root ? ` (${treeDigest.root})` : ''}: ${treeDigest.fileCount} 个文件\n`;
+        
+        Object.entries(treeDigest.digests).forEach(([algorithm, digest]) => {
+            content += `${AlgorithmRegistry.getLabel(algorithm)}: ${digest}\n`;
+        });
+        
+        return content;
+    },
+
     /**
      * 导出结果为CSV格式
      * @param {Array} results - 计算结果数组
@@ -167,14 +221,14 @@ const Utils = {
         
         // 构建CSV头部
         let headers = ['文件名', '文件大小'];
-        algorithms.forEach(algo => headers.push(algo.toUpperCase()));
+        algorithms.forEach(algo => headers.push(AlgorithmRegistry.getLabel(algo)));
         
         let content = headers.join(',') + '\n';
         
         // 添加数据行
         results.forEach(result => {
             let row = [
-                `"${result.filename}"`,  // 用引号包裹文件名，防止包含逗号
+                `"${result.path.replace(/"/g, '""')}"`,  // 用引号包裹文件名，防止包含逗号；文件名中的引号需要重复一次
                 `"${this.formatFileSize(result.size)}"`
             ];
             
@@ -188,6 +242,194 @@ const Utils = {
         return content;
     },
 
+    /**
+     * 生成结构化导出使用的运行信息
+     * @param {Array} results - 计算结果数组
+     * @param {Object|null} info - 计算参数（FileHandler.calculationInfo）
+     * @param {boolean} includeTimestamp - 是否包含导出时间
+     * @param {Object|null} treeDigest - 目录树摘要
+     * @returns {Object} 运行信息
+     */
+    buildExportMetadata(results, info, includeTimestamp = true, treeDigest = null) {
+        const toIso = timestamp => (timestamp ? new Date(timestamp).toISOString() : null);
+        const algorithms = info ? info.algorithms : Object.keys(results[0] ? results[0].hashValues : {});
+        
+        return {
+            tool: { name: AppInfo.name, version: AppInfo.version },
+            generatedAt: includeTimestamp ? toIso(Date.now()) : null,
+            startedAt: info ? toIso(info.startedAt) : null,
+            finishedAt: info ? toIso(info.finishedAt) : null,
+            chunkSize: info ? info.chunkSize : (results[0] ? results[0].chunkSize : null),
+            resultFormat: info ? info.resultFormat : null,
+            useWorkers: info ? info.useWorkers : null,
+            fileCount: results.length,
+            algorithms: algorithms.map(algorithm => {
+                const algorithmInfo = AlgorithmRegistry.get(algorithm);
+                const outputLength = info && info.outputLengths[algorithm];
+                
+                return {
+                    id: algorithm,
+                    label: AlgorithmRegistry.getLabel(algorithm),
+                    outputLength: outputLength || (algorithmInfo ? algorithmInfo.digestLength : null),
+                    keyed: info ? info.keyedAlgorithms.includes(algorithm) : Boolean(algorithmInfo && algorithmInfo.keyed),
+                    nonCryptographic: Boolean(algorithmInfo && algorithmInfo.nonCryptographic)
+                };
+            }),
+            treeDigest
+        };
+    },
+
+    /**
+     * 把单个文件的计算结果转换为结构化导出的记录
+     * 计算失败的算法不写入 hashes，错误信息写入 errors
+     * @param {Object} result - 单个文件的计算结果
+     * @returns {Object} 文件记录
+     */
+    buildExportRecord(result) {
+        const { hashes, errors } = this.splitHashValues(result.hashValues);
+        const record = {
+            name: result.filename,
+            path: result.path,
+            size: result.size,
+            mimeType: result.type || null,
+            lastModified: result.lastModified ? new Date(result.lastModified).toISOString() : null,
+            hashes,
+            durations: result.durations || {},
+            duration: result.duration,
+            errors
+        };
+        
+        // 检查了压缩包内的文件时附上每个文件的结果
+        if (result.archive) {
+            record.archive = {
+                type: result.archive.type,
+                error: result.archive.error || null,
+                entries: result.archive.entries.map(entry => ({
+                    path: entry.path,
+                    size: entry.size,
+                    ...this.splitHashValues(entry.hashValues),
+                    crc32: entry.expectedCrc32 || null,
+                    crcCheck: entry.crcCheck || null
+                }))
+            };
+        }
+        
+        return record;
+    },
+    
+    /**
+     * 把各算法的结果分为哈希值和错误信息
+     * @param {Object} hashValues - 各算法的结果
+     * @returns {Object} { hashes, errors }
+     */
+    splitHashValues(hashValues) {
+        const hashes = {};
+        const errors = {};
+        
+        Object.entries(hashValues).forEach(([algorithm, hash]) => {
+            if (typeof hash === 'string' && /^[0-9a-fA-F]+$/.test(hash)) {
+                hashes[algorithm] = hash;
+            } else {
+                errors[algorithm] = hash || '未计算';
+            }
+        });
+        
+        return { hashes, errors };
+    },
+
+    /**
+     * 导出结果为JSON格式
+     * @param {Array} results - 计算结果数组
+     * @param {Object|null} info - 计算参数
+     * @param {boolean} includeTimestamp - 是否包含导出时间
+     * @param {Object|null} treeDigest - 目录树摘要
+     * @returns {string} JSON格式的内容
+     */
+    exportAsJson(results, info, includeTimestamp = true, treeDigest = null) {
+        const content = {
+            ...this.buildExportMetadata(results, info, includeTimestamp, treeDigest),
+            files: results.map(result => this.buildExportRecord(result))
+        };
+        
+        return JSON.stringify(content, null, 2) + '\n';
+    },
+
+    /**
+     * 导出结果为NDJSON格式（每行一个JSON对象）
+     * 第一行是 type 为 'run' 的运行信息，之后每个文件一行，type 为 'file'
+     * @param {Array} results - 计算结果数组
+     * @param {Object|null} info - 计算参数
+     * @param {boolean} includeTimestamp - 是否包含导出时间
+     * @param {Object|null} treeDigest - 目录树摘要
+     * @returns {string} NDJSON格式的内容
+     */
+    exportAsNdjson(results, info, includeTimestamp = true, treeDigest = null) {
+        const lines = [
+            { type: 'run', ...this.buildExportMetadata(results, info, includeTimestamp, treeDigest) },
+            ...results.map(result => ({ type: 'file', ...this.buildExportRecord(result) }))
+        ];
+        
+        return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+    },
+
+    /**
+     * 统一文本中的换行符
+     * @param {string} text - 输入文本
+     * @param {string} lineEnding - 换行符 ('lf' 或 'crlf')
+     * @returns {string} 转换后的文本
+     */
+    normalizeLineEndings(text, lineEnding = 'lf') {
+        const normalized = text.replace(/\r\n?/g, '\n');
+        return lineEnding === 'crlf' ? normalized.replace(/\n/g, '\r\n') : normalized;
+    },
+
+    /**
+     * 按指定编码把文本解码为字节
+     * @param {string} text - 输入文本
+     * @param {string} encoding - 编码方式 ('utf8'、'hex' 或 'base64')
+     * @returns {Uint8Array} 字节数组
+     */
+    decodeBytes(text, encoding = 'utf8') {
+        switch (encoding) {
+            case 'hex': {
+                // 允许空白和 0x 前缀
+                const hex = text.replace(/\s+/g, '').replace(/^0x/i, '');
+                
+                if (hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+                    throw new Error('无效的十六进制字符串');
+                }
+                
+                const bytes = new Uint8Array(hex.length / 2);
+                for (let i = 0; i < bytes.length; i++) {
+                    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+                }
+                return bytes;
+            }
+            case 'base64': {
+                // 同时兼容 Base64URL 和省略填充的写法
+                let base64 = text.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+                while (base64.length % 4 !== 0) {
+                    base64 += '=';
+                }
+                
+                let binary;
+                try {
+                    binary = atob(base64);
+                } catch (error) {
+                    throw new Error('无效的Base64字符串');
+                }
+                
+                const bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) {
+                    bytes[i] = binary.charCodeAt(i);
+                }
+                return bytes;
+            }
+            default:
+                return new TextEncoder().encode(text);
+        }
+    },
+
     /**
      * 比较两个哈希值是否相同（忽略大小写）
      * @param {string} hash1 - 第一个哈希值
@@ -0,0 +1,223 @@
+/**
+ * Web Worker 线程池模块
+ * 负责把哈希计算任务分发到后台线程，并把进度和结果回传给页面
+ */
+
+// 线程池对象
+const WorkerPool = {
+    // Worker 脚本路径（相对于页面）
+    workerUrl: 'js/hash-worker.js',
+
+    // 已创建的 Worker 列表，每项为 { worker, job }
+    workers: [],
+
+    // 等待执行的任务队列
+    queue: [],
+
+    // 下一个任务ID
+    nextJobId: 1,
+
+    /**
+     * 检查当前环境是否可以使用 Web Worker
+     * 通过 file:// 打开页面时，大多数浏览器不允许创建 Worker
+     * @returns {boolean} 是否可用
+     */
+    isSupported() {
+        return typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
+    },
+
+    /**
+     * 获取最大并发数
+     * @returns {number} 同时运行的 Worker 数量上限
+     */
+    getConcurrency() {
+        return Math.max(1, parseInt(SettingsManager.get('workerConcurrency'), 10) || 1);
+    },
+
+    /**
+     * 在后台线程中计算文件的多个哈希值
+     * @param {File} file - 要计算哈希的文件
+     * @param {Array<string>} algorithms - 哈希算法名称数组
+     * @param {Object} options - 选项（chunkSize、resultFormat、hmacKey、outputLengths、algorithmKeys、onProgress、control）
+     * @returns {Promise<Object>} 与 HashCalculator.calculateMultipleHashes 相同的结果对象
+     */
+    run(file, algorithms, options = {}) {
+        const { onProgress = null, control = null, ...hashOptions } = options;
+
+        return new Promise((resolve, reject) => {
+            if (control && control.cancelled) {
+                reject(HashCalculator.createAbortError());
+                return;
+            }
+
+            const job = {
+                id: this.nextJobId++,
+                file,
+                algorithms,
+                options: hashOptions,
+                onProgress,
+                control,
+                unsubscribe: () => {},
+                resolve: (result) => {
+                    job.unsubscribe();
+                    resolve(result);
+                },
+                reject: (error) => {
+                    job.unsubscribe();
+                    reject(error);
+                }
+            };
+
+            if (control) {
+                job.unsubscribe = control.onChange((type) => this.handleControl(job, type));
+            }
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    },
+
+    /**
+     * 把暂停、继续、取消命令转发给执行任务的 Worker
+     * @param {Object} job - 任务
+     * @param {string} type - 命令类型 ('pause'、'resume' 或 'cancel')
+     */
+    handleControl(job, type) {
+        const slot = this.workers.find(item => item.job === job);
+
+        if (slot) {
+            slot.worker.postMessage({ type, jobId: job.id });
+        } else if (type === 'cancel') {
+            // 还在排队的任务直接移出队列
+            this.queue = this.queue.filter(item => item !== job);
+            job.reject(HashCalculator.createAbortError());
+        }
+
+        if (type === 'resume') {
+            this.dispatch();
+        }
+    },
+
+    /**
+     * 把队列中的任务分配给空闲的 Worker
+     */
+    dispatch() {
+        const limit = this.getConcurrency();
+
+        while (this.queue.length > 0) {
+            const busyCount = this.workers.filter(slot => slot.job).length;
+            if (busyCount >= limit) break;
+
+            // 暂停中的任务暂不开始
+            const jobIndex = this.queue.findIndex(job => !(job.control && job.control.paused));
+            if (jobIndex === -1) break;
+
+            let slot = this.workers.find(item => !item.job);
+
+            if (!slot) {
+                try {
+                    slot = this.createWorker();
+                } catch (error) {
+                    // 无法创建 Worker 时，让所有等待中的任务失败
+                    console.error('创建 Worker 失败:', error);
+                    this.queue.splice(0).forEach(job => job.reject(error));
+                    return;
+                }
+            }
+
+            const job = this.queue.splice(jobIndex, 1)[0];
+            slot.job = job;
+            slot.worker.postMessage({
+                type: 'hash',
+                jobId: job.id,
+                file: job.file,
+                algorithms: job.algorithms,
+                options: job.options
+            });
+        }
+    },
+
+    /**
+     * 创建新的 Worker
+     * @returns {Object} Worker 槽位
+     */
+    createWorker() {
+        const slot = {
+            worker: new Worker(this.workerUrl),
+            job: null
+        };
+
+        slot.worker.addEventListener('message', (e) => this.handleMessage(slot, e.data));
+        slot.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.handleCrash(slot, new Error(e.message || 'Worker 运行出错'));
+        });
+
+        this.workers.push(slot);
+        return slot;
+    },
+
+    /**
+     * 处理 Worker 发回的消息
+     * @param {Object} slot - Worker 槽位
+     * @param {Object} message - 消息内容
+     */
+    handleMessage(slot, message) {
+        const job = slot.job;
+        if (!job || message.jobId !== job.id) return;
+
+        switch (message.type) {
+            case 'progress':
+                if (job.onProgress) {
+                    job.onProgress(message.progress);
+                }
+                break;
+            case 'result':
+                this.releaseWorker(slot);
+                job.resolve(message.result);
+                break;
+            case 'error': {
+                const error = new Error(message.message);
+                error.name = message.name || 'Error';
+                this.releaseWorker(slot);
+                job.reject(error);
+                break;
+            }
+        }
+    },
+
+    /**
+     * 处理 Worker 崩溃
+     * @param {Object} slot - Worker 槽位
+     * @param {Error} error - 错误对象
+     */
+    handleCrash(slot, error) {
+        const job = slot.job;
+
+        slot.worker.terminate();
+        this.workers = this.workers.filter(item => item !== slot);
+
+        if (job) {
+            job.reject(error);
+        }
+
+        this.dispatch();
+    },
+
+    /**
+     * 任务完成后释放 Worker
+     * 并发上限调小后，多余的 Worker 在空闲时被终止
+     * @param {Object} slot - Worker 槽位
+     */
+    releaseWorker(slot) {
+        slot.job = null;
+
+        if (this.workers.length > this.getConcurrency()) {
+            slot.worker.terminate();
+            this.workers = this.workers.filter(item => item !== slot);
+        }
+
+        // 在当前任务的回调执行完之后再分配下一个任务
+        setTimeout(() => this.dispatch(), 0);
+    }
+};